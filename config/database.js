@@ -38,6 +38,12 @@ const createTables = async () => {
   
   try {
     await client.query('BEGIN');
+
+    // earthdistance (built on cube) backs the radius searches on lobby coordinates
+    await client.query(`
+      CREATE EXTENSION IF NOT EXISTS cube;
+      CREATE EXTENSION IF NOT EXISTS earthdistance;
+    `);
     
     // Users table
     await client.query(`
@@ -151,15 +157,427 @@ const createTables = async () => {
       )
     `);
     
+    // Columns added after the initial schema
+    await client.query(`
+      ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMP;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) DEFAULT 'rider'
+        CHECK (role IN ('admin', 'driver', 'rider'));
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT false;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+      ALTER TABLE lobbies ADD COLUMN IF NOT EXISTS provides_vehicle BOOLEAN DEFAULT true;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_requested_at TIMESTAMP;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_scheduled_for TIMESTAMP;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS purged_at TIMESTAMP;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS gender VARCHAR(20)
+        CHECK (gender IN ('female', 'male', 'non_binary', 'undisclosed'));
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS ride_preferences JSONB DEFAULT '{}';
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_key TEXT;
+      ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS attachment_key TEXT;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS referral_code VARCHAR(12) UNIQUE;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS referral_credit DECIMAL(10,2) DEFAULT 0;
+      ALTER TABLE lobbies ADD COLUMN IF NOT EXISTS preferences JSONB DEFAULT '{}';
+      ALTER TABLE lobbies ADD COLUMN IF NOT EXISTS route_geometry JSONB;
+      ALTER TABLE lobbies ADD COLUMN IF NOT EXISTS route_distance_m INTEGER;
+      ALTER TABLE lobbies ADD COLUMN IF NOT EXISTS route_duration_s INTEGER;
+      ALTER TABLE lobbies ADD COLUMN IF NOT EXISTS route_bbox BOX;
+    `);
+
+    // Vehicles registered by drivers; seat_capacity counts passenger seats
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS vehicles (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        owner_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        make VARCHAR(100) NOT NULL,
+        model VARCHAR(100) NOT NULL,
+        color VARCHAR(50) NOT NULL,
+        plate_number VARCHAR(20) NOT NULL,
+        seat_capacity INTEGER NOT NULL CHECK (seat_capacity >= 1 AND seat_capacity <= 15),
+        photos JSONB DEFAULT '[]',
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(owner_id, plate_number)
+      )
+    `);
+
+    await client.query(`
+      ALTER TABLE lobbies ADD COLUMN IF NOT EXISTS vehicle_id UUID REFERENCES vehicles(id) ON DELETE SET NULL;
+    `);
+
+    // Refresh tokens, one live token per session; used ones are kept for reuse detection
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        session_id UUID REFERENCES user_sessions(id) ON DELETE CASCADE,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        used_at TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Two-factor backup codes (hashed, single use)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_backup_codes (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(64) NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Driver applications (license and vehicle registration review)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS driver_applications (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        status VARCHAR(20) DEFAULT 'pending'
+          CHECK (status IN ('pending', 'approved', 'rejected', 'expired')),
+        license_number VARCHAR(50) NOT NULL,
+        license_expiry DATE NOT NULL,
+        license_document_path TEXT NOT NULL,
+        registration_document_path TEXT NOT NULL,
+        review_notes TEXT,
+        reviewed_by UUID REFERENCES users(id),
+        reviewed_at TIMESTAMP,
+        reminder_sent_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Labelled places a user travels from or to often
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS saved_places (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        label VARCHAR(50) NOT NULL,
+        type VARCHAR(20) DEFAULT 'favorite' CHECK (type IN ('home', 'work', 'favorite')),
+        address VARCHAR(255) NOT NULL,
+        coordinates POINT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Emergency contacts notified when a user raises an SOS
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS emergency_contacts (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        phone VARCHAR(20) NOT NULL,
+        relationship VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, phone)
+      )
+    `);
+
+    // SOS incidents raised during a ride; open until resolved
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sos_incidents (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        lobby_id UUID REFERENCES lobbies(id) ON DELETE SET NULL,
+        status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+        latitude DECIMAL(9,6),
+        longitude DECIMAL(9,6),
+        location_recorded_at TIMESTAMP,
+        message TEXT,
+        contacts_notified INTEGER DEFAULT 0,
+        resolved_by UUID REFERENCES users(id),
+        resolved_at TIMESTAMP,
+        resolution_notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Users hidden from each other by the blocker
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_blocks (
+        blocker_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        blocked_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (blocker_id, blocked_id),
+        CHECK (blocker_id <> blocked_id)
+      )
+    `);
+
+    // Reports against users, reviewed in the moderation queue
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_reports (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        reporter_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        reported_user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        category VARCHAR(30) NOT NULL,
+        description TEXT,
+        lobby_id UUID REFERENCES lobbies(id) ON DELETE SET NULL,
+        ride_id UUID REFERENCES rides(id) ON DELETE SET NULL,
+        message_id UUID REFERENCES chat_messages(id) ON DELETE SET NULL,
+        message_snapshot TEXT,
+        evidence JSONB DEFAULT '[]',
+        status VARCHAR(20) DEFAULT 'open'
+          CHECK (status IN ('open', 'actioned', 'dismissed')),
+        action_taken VARCHAR(20),
+        reviewed_by UUID REFERENCES users(id),
+        reviewed_at TIMESTAMP,
+        review_notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Recurring lobbies: a template plus a weekly schedule. Occurrences are
+    // generated as regular lobbies a few days ahead.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS lobby_series (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        creator_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        from_location VARCHAR(255) NOT NULL,
+        to_location VARCHAR(255) NOT NULL,
+        from_coordinates POINT,
+        to_coordinates POINT,
+        vehicle_type VARCHAR(50) NOT NULL,
+        available_seats INTEGER NOT NULL,
+        price_per_seat DECIMAL(10,2) NOT NULL,
+        description TEXT,
+        provides_vehicle BOOLEAN DEFAULT true,
+        vehicle_id UUID REFERENCES vehicles(id) ON DELETE SET NULL,
+        preferences JSONB DEFAULT '{}',
+        route_geometry JSONB,
+        route_distance_m INTEGER,
+        route_duration_s INTEGER,
+        route_bbox BOX,
+        days_of_week INTEGER[] NOT NULL,
+        departure_time TIME NOT NULL,
+        start_date DATE NOT NULL DEFAULT CURRENT_DATE,
+        end_date DATE,
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Regular riders auto-joined to every occurrence
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS lobby_series_members (
+        series_id UUID REFERENCES lobby_series(id) ON DELETE CASCADE,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        pickup_location VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (series_id, user_id)
+      )
+    `);
+
+    // One-off changes to a single occurrence: skipped, or generated with overrides
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS lobby_series_exceptions (
+        series_id UUID REFERENCES lobby_series(id) ON DELETE CASCADE,
+        occurrence_date DATE NOT NULL,
+        action VARCHAR(10) NOT NULL CHECK (action IN ('skip', 'modify')),
+        overrides JSONB DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (series_id, occurrence_date)
+      )
+    `);
+
+    await client.query(`
+      ALTER TABLE lobbies ADD COLUMN IF NOT EXISTS series_id UUID REFERENCES lobby_series(id) ON DELETE SET NULL;
+      ALTER TABLE lobbies ADD COLUMN IF NOT EXISTS occurrence_date DATE;
+    `);
+
+    // Requests to join lobbies whose creator approves each rider
+    await client.query(`
+      ALTER TABLE lobbies ADD COLUMN IF NOT EXISTS join_policy VARCHAR(20) DEFAULT 'open'
+        CHECK (join_policy IN ('open', 'approval'));
+      ALTER TABLE lobby_members ADD COLUMN IF NOT EXISTS removal_reason TEXT;
+      ALTER TABLE lobby_members ADD COLUMN IF NOT EXISTS removed_at TIMESTAMP;
+
+      CREATE TABLE IF NOT EXISTS lobby_join_requests (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        lobby_id UUID REFERENCES lobbies(id) ON DELETE CASCADE,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        seats INTEGER NOT NULL DEFAULT 1 CHECK (seats >= 1),
+        pickup_location VARCHAR(255),
+        status VARCHAR(20) DEFAULT 'pending'
+          CHECK (status IN ('pending', 'approved', 'declined')),
+        responded_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // One pending request per user and lobby; declined riders may ask again
+    await client.query(`
+      ALTER TABLE lobby_join_requests DROP CONSTRAINT IF EXISTS lobby_join_requests_lobby_id_user_id_key;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_lobby_join_requests_one_pending
+        ON lobby_join_requests(lobby_id, user_id) WHERE status = 'pending';
+    `);
+
+    // Seat accounting: members book one or more seats, the creator books none,
+    // and lobbies.seats_taken is the sum over active members. Existing data is
+    // backfilled the first time this runs.
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'lobbies' AND column_name = 'seats_taken'
+        ) THEN
+          ALTER TABLE lobby_members ADD COLUMN seats INTEGER NOT NULL DEFAULT 1 CHECK (seats >= 0);
+          ALTER TABLE lobbies ADD COLUMN seats_taken INTEGER NOT NULL DEFAULT 0;
+
+          UPDATE lobby_members lm SET seats = 0
+          FROM lobbies l
+          WHERE lm.lobby_id = l.id AND lm.user_id = l.creator_id;
+
+          UPDATE lobbies l SET seats_taken = (
+            SELECT COALESCE(SUM(lm.seats), 0) FROM lobby_members lm
+            WHERE lm.lobby_id = l.id AND lm.status = 'active'
+          );
+
+          -- Lobbies overbooked before seats were locked keep their riders
+          UPDATE lobbies SET available_seats = seats_taken WHERE seats_taken > available_seats;
+
+          ALTER TABLE lobbies ADD CONSTRAINT lobbies_seats_taken_check
+            CHECK (seats_taken >= 0 AND seats_taken <= available_seats);
+        END IF;
+      END $$;
+    `);
+
+    // Every lobby status change, with who made it (NULL for system changes)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS lobby_status_history (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        lobby_id UUID REFERENCES lobbies(id) ON DELETE CASCADE,
+        from_status VARCHAR(20),
+        to_status VARCHAR(20) NOT NULL,
+        changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        reason TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Co-riders a user wants to travel with again
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS favorite_riders (
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        favorite_user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        ride_id UUID REFERENCES rides(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, favorite_user_id),
+        CHECK (user_id <> favorite_user_id)
+      )
+    `);
+
+    // Invitations to join a lobby, sent to favorites
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS lobby_invitations (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        lobby_id UUID REFERENCES lobbies(id) ON DELETE CASCADE,
+        inviter_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        invitee_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        status VARCHAR(20) DEFAULT 'pending'
+          CHECK (status IN ('pending', 'accepted', 'declined')),
+        responded_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(lobby_id, invitee_id)
+      )
+    `);
+
+    // Referrer/referee relations; rewards are granted on the referee's first completed ride
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS referrals (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        referrer_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        referee_id UUID UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+        code VARCHAR(12) NOT NULL,
+        status VARCHAR(20) DEFAULT 'pending'
+          CHECK (status IN ('pending', 'rewarded', 'rejected')),
+        rejection_reason VARCHAR(30),
+        device_id VARCHAR(255),
+        referrer_reward DECIMAL(10,2) DEFAULT 0,
+        referee_reward DECIMAL(10,2) DEFAULT 0,
+        ride_id UUID REFERENCES rides(id) ON DELETE SET NULL,
+        rewarded_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (referrer_id <> referee_id)
+      )
+    `);
+
+    // Personal data export jobs
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS data_export_jobs (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        status VARCHAR(20) DEFAULT 'pending'
+          CHECK (status IN ('pending', 'processing', 'ready', 'failed', 'expired')),
+        file_path TEXT,
+        error TEXT,
+        started_at TIMESTAMP,
+        completed_at TIMESTAMP,
+        expires_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // One-time codes (fallback store when Redis is unavailable)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS otp_codes (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        phone VARCHAR(20) NOT NULL,
+        purpose VARCHAR(30) NOT NULL,
+        code_hash VARCHAR(128) NOT NULL,
+        attempts INTEGER DEFAULT 0,
+        expires_at TIMESTAMP NOT NULL,
+        last_sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(phone, purpose)
+      )
+    `);
+
     // Create indexes for better performance
     await client.query(`
       CREATE INDEX IF NOT EXISTS idx_lobbies_status ON lobbies(status);
       CREATE INDEX IF NOT EXISTS idx_lobbies_departure ON lobbies(departure_time);
       CREATE INDEX IF NOT EXISTS idx_lobbies_location ON lobbies(from_location, to_location);
+      CREATE INDEX IF NOT EXISTS idx_lobbies_from_earth
+        ON lobbies USING gist (ll_to_earth(from_coordinates[1], from_coordinates[0]));
+      CREATE INDEX IF NOT EXISTS idx_lobbies_to_earth
+        ON lobbies USING gist (ll_to_earth(to_coordinates[1], to_coordinates[0]));
+      CREATE INDEX IF NOT EXISTS idx_lobbies_route_bbox ON lobbies USING gist (route_bbox);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_lobbies_series_occurrence ON lobbies(series_id, occurrence_date);
+      CREATE INDEX IF NOT EXISTS idx_lobby_series_creator ON lobby_series(creator_id);
+      CREATE INDEX IF NOT EXISTS idx_lobby_series_members_user ON lobby_series_members(user_id);
       CREATE INDEX IF NOT EXISTS idx_chat_messages_lobby ON chat_messages(lobby_id, created_at);
       CREATE INDEX IF NOT EXISTS idx_rides_user ON ride_participants(user_id);
       CREATE INDEX IF NOT EXISTS idx_users_phone ON users(phone);
       CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+      CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id);
+      CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON refresh_tokens(session_id);
+      CREATE INDEX IF NOT EXISTS idx_user_backup_codes_user ON user_backup_codes(user_id);
+      CREATE INDEX IF NOT EXISTS idx_driver_applications_user ON driver_applications(user_id, status);
+      CREATE INDEX IF NOT EXISTS idx_data_export_jobs_user ON data_export_jobs(user_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_vehicles_owner ON vehicles(owner_id);
+      CREATE INDEX IF NOT EXISTS idx_user_blocks_blocked ON user_blocks(blocked_id);
+      CREATE INDEX IF NOT EXISTS idx_user_reports_status ON user_reports(status, created_at);
+      CREATE INDEX IF NOT EXISTS idx_user_reports_reported ON user_reports(reported_user_id);
+      CREATE INDEX IF NOT EXISTS idx_saved_places_user ON saved_places(user_id);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_saved_places_one_home_work
+        ON saved_places(user_id, type) WHERE type IN ('home', 'work');
+      CREATE INDEX IF NOT EXISTS idx_emergency_contacts_user ON emergency_contacts(user_id);
+      CREATE INDEX IF NOT EXISTS idx_sos_incidents_status ON sos_incidents(status, created_at);
+      CREATE INDEX IF NOT EXISTS idx_favorite_riders_favorite ON favorite_riders(favorite_user_id);
+      CREATE INDEX IF NOT EXISTS idx_lobby_invitations_invitee ON lobby_invitations(invitee_id, status);
+      CREATE INDEX IF NOT EXISTS idx_lobby_status_history_lobby ON lobby_status_history(lobby_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_lobby_join_requests_lobby ON lobby_join_requests(lobby_id, status);
+      CREATE INDEX IF NOT EXISTS idx_referrals_referrer ON referrals(referrer_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_users_deletion ON users(deletion_scheduled_for) WHERE purged_at IS NULL;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_driver_applications_one_pending
+        ON driver_applications(user_id) WHERE status = 'pending';
     `);
     
     await client.query('COMMIT');
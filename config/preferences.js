@@ -0,0 +1,87 @@
+// Ride preferences shared by users and lobbies
+
+const GENDERS = ['female', 'male', 'non_binary', 'undisclosed'];
+
+// Ordered smallest to largest
+const LUGGAGE_SIZES = ['none', 'small', 'medium', 'large'];
+
+const MUSIC_OPTIONS = ['quiet', 'music', 'any'];
+
+// What a lobby offers; missing keys fall back to these
+const LOBBY_PREFERENCE_DEFAULTS = {
+  womenOnly: false,
+  smokingAllowed: false,
+  petsAllowed: false,
+  luggageSize: 'medium',
+  music: 'any'
+};
+
+// What a rider needs
+const USER_PREFERENCE_DEFAULTS = {
+  smoker: false,
+  travelsWithPet: false,
+  luggageSize: 'small',
+  music: 'any'
+};
+
+const pickKnown = (defaults, input = {}) => {
+  const result = { ...defaults };
+  Object.keys(defaults).forEach(key => {
+    if (input && input[key] !== undefined) {
+      result[key] = input[key];
+    }
+  });
+  return result;
+};
+
+const normalizeLobbyPreferences = (input) => pickKnown(LOBBY_PREFERENCE_DEFAULTS, input);
+
+const normalizeUserPreferences = (input) => pickKnown(USER_PREFERENCE_DEFAULTS, input);
+
+const luggageRank = (size) => LUGGAGE_SIZES.indexOf(size);
+
+// Badges shown on lobby cards and details
+const getBadges = (lobbyPreferences) => {
+  const preferences = normalizeLobbyPreferences(lobbyPreferences);
+  const badges = [];
+
+  if (preferences.womenOnly) badges.push('women_only');
+  badges.push(preferences.smokingAllowed ? 'smoking_allowed' : 'no_smoking');
+  if (preferences.petsAllowed) badges.push('pets_allowed');
+  badges.push(`luggage_${preferences.luggageSize}`);
+  if (preferences.music !== 'any') badges.push(preferences.music === 'quiet' ? 'quiet_ride' : 'music_on');
+
+  return badges;
+};
+
+// Hard requirements a joiner must meet; returns an error message or null
+const checkEligibility = (lobbyPreferences, user) => {
+  const lobby = normalizeLobbyPreferences(lobbyPreferences);
+  const rider = normalizeUserPreferences(user.ride_preferences);
+
+  if (lobby.womenOnly && user.gender !== 'female') {
+    return 'This lobby is for women only';
+  }
+
+  if (rider.travelsWithPet && !lobby.petsAllowed) {
+    return 'Pets are not allowed in this lobby';
+  }
+
+  if (luggageRank(rider.luggageSize) > luggageRank(lobby.luggageSize)) {
+    return `This lobby only has room for ${lobby.luggageSize} luggage`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  GENDERS,
+  LUGGAGE_SIZES,
+  MUSIC_OPTIONS,
+  LOBBY_PREFERENCE_DEFAULTS,
+  USER_PREFERENCE_DEFAULTS,
+  normalizeLobbyPreferences,
+  normalizeUserPreferences,
+  getBadges,
+  checkEligibility
+};
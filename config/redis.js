@@ -61,9 +61,14 @@ const getRedisClient = () => {
   return redisClient;
 };
 
+// True only when the client is connected and able to serve commands
+const isRedisReady = () => {
+  return Boolean(redisClient && redisClient.isReady);
+};
+
 // Cache helper functions
 const setCache = async (key, value, expireInSeconds = 3600) => {
-  if (!redisClient) return false;
+  if (!isRedisReady()) return false;
   
   try {
     await redisClient.setEx(key, expireInSeconds, JSON.stringify(value));
@@ -75,7 +80,7 @@ const setCache = async (key, value, expireInSeconds = 3600) => {
 };
 
 const getCache = async (key) => {
-  if (!redisClient) return null;
+  if (!isRedisReady()) return null;
   
   try {
     const value = await redisClient.get(key);
@@ -87,7 +92,7 @@ const getCache = async (key) => {
 };
 
 const deleteCache = async (key) => {
-  if (!redisClient) return false;
+  if (!isRedisReady()) return false;
   
   try {
     await redisClient.del(key);
@@ -98,8 +103,21 @@ const deleteCache = async (key) => {
   }
 };
 
+// Atomically increment a counter and refresh its expiry; returns the new value or null
+const incrementCache = async (key, expireInSeconds = 3600) => {
+  if (!isRedisReady()) return null;
+
+  try {
+    const [count] = await redisClient.multi().incr(key).expire(key, expireInSeconds).exec();
+    return count;
+  } catch (error) {
+    logger.error('Redis increment error:', error);
+    return null;
+  }
+};
+
 const flushCache = async () => {
-  if (!redisClient) return false;
+  if (!isRedisReady()) return false;
   
   try {
     await redisClient.flushAll();
@@ -113,8 +131,10 @@ const flushCache = async () => {
 module.exports = {
   connectRedis,
   getRedisClient,
+  isRedisReady,
   setCache,
   getCache,
   deleteCache,
+  incrementCache,
   flushCache
 };
\ No newline at end of file
@@ -0,0 +1,49 @@
+// Roles and the permissions they grant
+
+const ROLES = ['admin', 'driver', 'rider'];
+
+const ROLE_PERMISSIONS = {
+  rider: [
+    'lobbies:join',
+    'rides:participate'
+  ],
+  driver: [
+    'lobbies:create',
+    'lobbies:join',
+    'rides:participate',
+    'rides:drive'
+  ],
+  admin: [
+    'lobbies:create',
+    'lobbies:join',
+    'lobbies:manage',
+    'rides:participate',
+    'rides:drive',
+    'rides:manage',
+    'users:manage',
+    'moderation:review',
+    'safety:respond'
+  ]
+};
+
+const getPermissions = (role) => {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+
+  // Riders may create lobbies unless creation is limited to drivers
+  if (role === 'rider' && process.env.DRIVER_ONLY_LOBBIES !== 'true') {
+    return [...permissions, 'lobbies:create'];
+  }
+
+  return permissions;
+};
+
+const hasPermission = (role, permission) => {
+  return getPermissions(role).includes(permission);
+};
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  getPermissions,
+  hasPermission
+};
@@ -0,0 +1,70 @@
+const cron = require('node-cron');
+const driverService = require('../services/driverService');
+const dataExportService = require('../services/dataExportService');
+const accountDeletionService = require('../services/accountDeletionService');
+const lobbySeriesService = require('../services/lobbySeriesService');
+const lobbyExpiryService = require('../services/lobbyExpiryService');
+const logger = require('../utils/logger');
+
+// Run a job body, logging failures instead of crashing the scheduler
+const runJob = async (name, job) => {
+  try {
+    await job();
+  } catch (error) {
+    logger.error(`Scheduled job "${name}" failed:`, error);
+  }
+};
+
+const startJobs = (io) => {
+  if (process.env.DISABLE_SCHEDULED_JOBS === 'true') {
+    logger.info('⏸️  Scheduled jobs disabled');
+    return [];
+  }
+
+  const tasks = [
+    // Daily: expire lapsed driver licenses and send renewal reminders
+    cron.schedule(process.env.DRIVER_LICENSE_CRON || '0 6 * * *', () => runJob('driver licenses', async () => {
+      const expired = await driverService.expireLapsedLicenses(io);
+      const reminded = await driverService.sendExpiryReminders(io);
+      logger.info(`Driver licenses: ${expired} expired, ${reminded} reminders sent`);
+    })),
+
+    // Hourly: purge accounts whose deletion grace period has ended
+    cron.schedule(process.env.ACCOUNT_PURGE_CRON || '15 * * * *', () => runJob('account purge', async () => {
+      const purged = await accountDeletionService.purgeDueAccounts();
+      if (purged > 0) {
+        logger.info(`Account purge: ${purged} account(s) purged`);
+      }
+    })),
+
+    // Every 5 minutes: build exports left pending and drop expired bundles
+    cron.schedule(process.env.DATA_EXPORT_CRON || '*/5 * * * *', () => runJob('data exports', async () => {
+      const processed = await dataExportService.processPendingJobs();
+      const removed = await dataExportService.removeExpiredExports();
+      if (processed > 0 || removed > 0) {
+        logger.info(`Data exports: ${processed} processed, ${removed} expired`);
+      }
+    })),
+
+    // Hourly: generate upcoming lobbies of recurring series
+    cron.schedule(process.env.LOBBY_SERIES_CRON || '0 * * * *', () => runJob('lobby series', async () => {
+      const created = await lobbySeriesService.generateOccurrences({ io });
+      if (created.length > 0) {
+        logger.info(`Lobby series: ${created.length} lobbies generated`);
+      }
+    })),
+
+    // Every 10 minutes: expire or cancel lobbies that never started after departure
+    cron.schedule(process.env.LOBBY_SWEEP_CRON || '*/10 * * * *', () => runJob('lobby sweep', async () => {
+      const { expired, cancelled } = await lobbyExpiryService.sweep(io);
+      logger.info(`Lobby sweep: ${expired} expired, ${cancelled} cancelled as no-shows`);
+    }))
+  ];
+
+  logger.info(`⏰ ${tasks.length} scheduled job(s) started`);
+  return tasks;
+};
+
+module.exports = {
+  startJobs
+};
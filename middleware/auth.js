@@ -1,5 +1,6 @@
-const jwt = require('jsonwebtoken');
-const { query } = require('../config/database');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const { hasPermission } = require('../config/roles');
 const logger = require('../utils/logger');
 
 const authenticateToken = async (req, res, next) => {
@@ -14,22 +15,18 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Check if user exists and is active
-    const userResult = await query(
-      'SELECT id, name, email, phone, is_active FROM users WHERE id = $1 AND is_active = true',
-      [decoded.userId]
-    );
+    // Check the token, its session and that the user is still active
+    const auth = await sessionService.authenticate(token);
 
-    if (userResult.rows.length === 0) {
+    if (!auth) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid token or user not found'
+        message: 'Session expired or revoked'
       });
     }
 
-    req.user = userResult.rows[0];
+    req.user = auth.user;
+    req.sessionId = auth.sessionId;
     next();
   } catch (error) {
     logger.error('Authentication error:', error);
@@ -65,14 +62,10 @@ const optionalAuth = async (req, res, next) => {
       return next();
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    const userResult = await query(
-      'SELECT id, name, email, phone, is_active FROM users WHERE id = $1 AND is_active = true',
-      [decoded.userId]
-    );
+    const auth = await sessionService.authenticate(token);
 
-    req.user = userResult.rows.length > 0 ? userResult.rows[0] : null;
+    req.user = auth ? auth.user : null;
+    req.sessionId = auth ? auth.sessionId : null;
     next();
   } catch (error) {
     req.user = null;
@@ -80,7 +73,88 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Rejects unverified phones when REQUIRE_VERIFIED_PHONE is enabled
+const requireVerifiedPhone = (req, res, next) => {
+  if (process.env.REQUIRE_VERIFIED_PHONE !== 'true') {
+    return next();
+  }
+
+  if (!req.user || !req.user.is_verified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your phone number first'
+    });
+  }
+
+  next();
+};
+
+// Allows only users holding one of the given roles (use after authenticateToken)
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have access to this resource'
+    });
+  }
+
+  next();
+};
+
+// Allows only users whose role grants the permission (use after authenticateToken)
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user || !hasPermission(req.user.role, permission)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action'
+    });
+  }
+
+  next();
+};
+
+// Sensitive actions need a fresh TOTP (or backup) code in body.totpCode when 2FA is on
+const requireTwoFactorCode = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.totp_enabled) {
+      return next();
+    }
+
+    const { totpCode } = req.body;
+
+    if (!totpCode) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor code required',
+        data: { requiresTwoFactor: true }
+      });
+    }
+
+    const result = await twoFactorService.verify(req.user.id, totpCode);
+
+    if (!result.success) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid two-factor code',
+        data: { requiresTwoFactor: true }
+      });
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Two-factor check error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Two-factor verification failed'
+    });
+  }
+};
+
 module.exports = {
   authenticateToken,
-  optionalAuth
+  optionalAuth,
+  requireVerifiedPhone,
+  requireTwoFactorCode,
+  requireRole,
+  requirePermission
 };
\ No newline at end of file
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const multer = require('multer');
+const path = require('path');
+const { detectMimeType, detectFileMimeType } = require('../utils/fileType');
+const logger = require('../utils/logger');
+
+const EXTENSIONS = {
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/png': ['.png'],
+  'image/webp': ['.webp'],
+  'application/pdf': ['.pdf']
+};
+
+/**
+ * Build a multer instance writing to `directory`, or keeping files in memory
+ * (file.buffer) for the storage layer when no directory is given.
+ * With `allowedTypes` the declared mimetype and the extension must both match
+ * one of the types; otherwise any image/* upload is accepted.
+ */
+const createUpload = ({ directory = null, prefix, allowedTypes = null, maxFileSize }) => {
+  let storage = multer.memoryStorage();
+
+  if (directory) {
+    fs.mkdirSync(directory, { recursive: true });
+
+    storage = multer.diskStorage({
+      destination: (req, file, cb) => {
+        cb(null, directory);
+      },
+      filename: (req, file, cb) => {
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        cb(null, prefix + '-' + uniqueSuffix + path.extname(file.originalname).toLowerCase());
+      }
+    });
+  }
+
+  return multer({
+    storage: storage,
+    limits: {
+      fileSize: maxFileSize || parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024 // 5MB
+    },
+    fileFilter: (req, file, cb) => {
+      if (!allowedTypes) {
+        return file.mimetype.startsWith('image/')
+          ? cb(null, true)
+          : cb(new Error('Only image files are allowed'));
+      }
+
+      const extension = path.extname(file.originalname).toLowerCase();
+      const allowed = allowedTypes.includes(file.mimetype) &&
+                      (EXTENSIONS[file.mimetype] || []).includes(extension);
+
+      if (allowed) {
+        cb(null, true);
+      } else {
+        cb(new Error(`Only ${allowedTypes.join(', ')} files are allowed`));
+      }
+    }
+  });
+};
+
+const uploadedFiles = (req) => {
+  if (req.file) return [req.file];
+  if (Array.isArray(req.files)) return req.files;
+  return Object.values(req.files || {}).flat();
+};
+
+// In-memory uploads have no file to remove
+const removeUploadedFiles = async (req) => {
+  await Promise.all(uploadedFiles(req).filter(file => file.path).map(file =>
+    fs.promises.unlink(file.path).catch(() => {})
+  ));
+};
+
+// Run a multer handler and answer multer/filter errors with a 400
+const handleUpload = (multerHandler) => (req, res, next) => {
+  multerHandler(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : error.message
+      });
+    }
+    next();
+  });
+};
+
+// After upload: the file contents must match the declared type, otherwise every upload is discarded
+const verifyFileContents = async (req, res, next) => {
+  try {
+    for (const file of uploadedFiles(req)) {
+      const detected = file.buffer ? detectMimeType(file.buffer) : await detectFileMimeType(file.path);
+
+      if (detected !== file.mimetype) {
+        logger.warn(`Rejected upload ${file.originalname}: declared ${file.mimetype}, detected ${detected}`);
+        await removeUploadedFiles(req);
+        return res.status(400).json({
+          success: false,
+          message: 'File content does not match its type'
+        });
+      }
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Upload verification error:', error);
+    await removeUploadedFiles(req);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify upload'
+    });
+  }
+};
+
+module.exports = {
+  createUpload,
+  handleUpload,
+  verifyFileContents,
+  removeUploadedFiles
+};
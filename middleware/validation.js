@@ -1,4 +1,5 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { GENDERS, LUGGAGE_SIZES, MUSIC_OPTIONS } = require('../config/preferences');
 
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -28,6 +29,12 @@ const registerValidation = [
   body('password')
     .isLength({ min: 6 })
     .withMessage('Password must be at least 6 characters long'),
+  body('referralCode')
+    .optional()
+    .trim()
+    .isAlphanumeric()
+    .isLength({ min: 6, max: 12 })
+    .withMessage('Invalid referral code'),
   handleValidationErrors
 ];
 
@@ -38,31 +45,495 @@ const loginValidation = [
   body('password')
     .notEmpty()
     .withMessage('Password is required'),
+  body('cancelDeletion')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('cancelDeletion must be a boolean'),
   handleValidationErrors
 ];
 
-// Lobby validation rules
-const createLobbyValidation = [
+const verifyOtpValidation = [
+  body('code')
+    .trim()
+    .isNumeric({ no_symbols: true })
+    .isLength({ min: 4, max: 8 })
+    .withMessage('Please provide the verification code'),
+  handleValidationErrors
+];
+
+const refreshTokenValidation = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+  handleValidationErrors
+];
+
+const forgotPasswordValidation = [
+  body('phone')
+    .isMobilePhone()
+    .withMessage('Please provide a valid phone number'),
+  handleValidationErrors
+];
+
+const resetPasswordValidation = [
+  body('phone')
+    .isMobilePhone()
+    .withMessage('Please provide a valid phone number'),
+  body('code')
+    .trim()
+    .isNumeric({ no_symbols: true })
+    .isLength({ min: 4, max: 8 })
+    .withMessage('Please provide the reset code'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters long'),
+  handleValidationErrors
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .trim()
+    .isLength({ min: 6, max: 9 })
+    .withMessage('Please provide your authenticator or backup code'),
+  handleValidationErrors
+];
+
+const twoFactorLoginValidation = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Login challenge is required'),
+  ...twoFactorCodeValidation
+];
+
+// Rules shared by lobbies and lobby series templates
+const lobbyTemplateRules = [
+  // A saved place can stand in for either free-text location
+  body('fromPlaceId')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid place ID'),
+  body('toPlaceId')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid place ID'),
   body('fromLocation')
+    .if(body('fromPlaceId').not().exists())
     .trim()
     .isLength({ min: 2, max: 255 })
     .withMessage('From location is required'),
   body('toLocation')
+    .if(body('toPlaceId').not().exists())
     .trim()
     .isLength({ min: 2, max: 255 })
     .withMessage('To location is required'),
+  body('vehicleType')
+    .isIn(['small', 'medium', 'large'])
+    .withMessage('Invalid vehicle type'),
+  body('availableSeats')
+    .isInt({ min: 1, max: 15 })
+    .withMessage('Available seats must be between 1 and 15'),
+  body('pricePerSeat')
+    .isFloat({ min: 0 })
+    .withMessage('Price per seat must be a positive number'),
+  body('providesVehicle')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('providesVehicle must be a boolean'),
+  body('vehicleId')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid vehicle ID'),
+  body('preferences')
+    .optional()
+    .isObject()
+    .withMessage('Preferences must be an object'),
+  body(['preferences.womenOnly', 'preferences.smokingAllowed', 'preferences.petsAllowed'])
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Preference must be true or false'),
+  body('preferences.luggageSize')
+    .optional()
+    .isIn(LUGGAGE_SIZES)
+    .withMessage('Invalid luggage size'),
+  body('preferences.music')
+    .optional()
+    .isIn(MUSIC_OPTIONS)
+    .withMessage('Invalid music preference')
+];
+
+// Lobby validation rules
+const createLobbyValidation = [
+  ...lobbyTemplateRules,
+  body('departureTime')
+    .isISO8601()
+    .withMessage('Please provide a valid departure time'),
+  body('joinPolicy')
+    .optional()
+    .isIn(['open', 'approval'])
+    .withMessage('Join policy must be open or approval'),
+  handleValidationErrors
+];
+
+// Lobby series validation rules; departureTime is a wall-clock HH:MM
+const lobbySeriesValidation = [
+  ...lobbyTemplateRules,
+  body('daysOfWeek')
+    .isArray({ min: 1, max: 7 })
+    .withMessage('daysOfWeek must list 1 to 7 days'),
+  body('daysOfWeek.*')
+    .isInt({ min: 0, max: 6 })
+    .toInt()
+    .withMessage('Days of week run from 0 (Sunday) to 6 (Saturday)'),
+  body('departureTime')
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Departure time must be HH:MM'),
+  body('startDate')
+    .optional()
+    .isISO8601({ strict: true })
+    .isLength({ min: 10, max: 10 })
+    .withMessage('Start date must be YYYY-MM-DD'),
+  body('endDate')
+    .optional()
+    .isISO8601({ strict: true })
+    .isLength({ min: 10, max: 10 })
+    .withMessage('End date must be YYYY-MM-DD')
+    .custom((value, { req }) => !req.body.startDate || value >= req.body.startDate)
+    .withMessage('End date must not be before the start date'),
+  handleValidationErrors
+];
+
+// Changes to a single occurrence of a lobby series
+const lobbyOccurrenceValidation = [
+  param('date')
+    .isISO8601({ strict: true })
+    .isLength({ min: 10, max: 10 })
+    .withMessage('Date must be YYYY-MM-DD'),
+  body('departureTime')
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Departure time must be HH:MM'),
+  body('availableSeats')
+    .optional()
+    .isInt({ min: 1, max: 15 })
+    .toInt()
+    .withMessage('Available seats must be between 1 and 15'),
+  body('pricePerSeat')
+    .optional()
+    .isFloat({ min: 0 })
+    .toFloat()
+    .withMessage('Price per seat must be a positive number'),
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Description must be at most 1000 characters'),
+  handleValidationErrors
+];
+
+// Joining a lobby; one booking can reserve several seats
+const joinLobbyValidation = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid ID format'),
+  body('seats')
+    .optional()
+    .isInt({ min: 1, max: 15 })
+    .toInt()
+    .withMessage('Seats must be between 1 and 15'),
+  body('pickupLocation')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Pickup location is too long'),
+  handleValidationErrors
+];
+
+// Removing a member from a lobby
+const removeMemberValidation = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid ID format'),
+  param('userId')
+    .isUUID()
+    .withMessage('Invalid ID format'),
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Reason must be between 3 and 500 characters'),
+  handleValidationErrors
+];
+
+// Lobby search validation rules
+const searchLobbiesValidation = [
+  query(['fromPlaceId', 'toPlaceId'])
+    .optional()
+    .isUUID()
+    .withMessage('Invalid place ID'),
+  // Coordinates come in pairs; radii are in km
+  query(['nearLat', 'destLat'])
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  query(['nearLon', 'destLon'])
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  query('nearLon')
+    .if(query('nearLat').exists())
+    .exists()
+    .withMessage('nearLat and nearLon must be given together'),
+  query('nearLat')
+    .if(query('nearLon').exists())
+    .exists()
+    .withMessage('nearLat and nearLon must be given together'),
+  query('destLon')
+    .if(query('destLat').exists())
+    .exists()
+    .withMessage('destLat and destLon must be given together'),
+  query('destLat')
+    .if(query('destLon').exists())
+    .exists()
+    .withMessage('destLat and destLon must be given together'),
+  query(['radius', 'destRadius'])
+    .optional()
+    .isFloat({ gt: 0, max: 100 })
+    .withMessage('Radius must be between 0 and 100 km'),
+  handleValidationErrors
+];
+
+// Route corridor matching validation rules
+const routeMatchValidation = [
+  query(['pickupLat', 'dropoffLat'])
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Pickup and dropoff latitudes are required'),
+  query(['pickupLon', 'dropoffLon'])
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Pickup and dropoff longitudes are required'),
+  query('maxDetourKm')
+    .optional()
+    .isFloat({ gt: 0, max: 5 })
+    .withMessage('maxDetourKm must be between 0 and 5'),
+  query('departureDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid departure date'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  handleValidationErrors
+];
+
+// "Ride again" validation rules; lobby details default to the original lobby
+const rideAgainValidation = [
   body('departureTime')
     .isISO8601()
     .withMessage('Please provide a valid departure time'),
+  body('inviteUserIds')
+    .optional()
+    .isArray({ max: 14 })
+    .withMessage('inviteUserIds must be a list of up to 14 users'),
+  body('inviteUserIds.*')
+    .isUUID()
+    .withMessage('Invalid user ID'),
   body('vehicleType')
+    .optional()
     .isIn(['small', 'medium', 'large'])
     .withMessage('Invalid vehicle type'),
   body('availableSeats')
+    .optional()
     .isInt({ min: 1, max: 15 })
     .withMessage('Available seats must be between 1 and 15'),
   body('pricePerSeat')
+    .optional()
     .isFloat({ min: 0 })
     .withMessage('Price per seat must be a positive number'),
+  body('providesVehicle')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('providesVehicle must be a boolean'),
+  body('vehicleId')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid vehicle ID'),
+  handleValidationErrors
+];
+
+// Co-rider to mark as a favorite after a shared ride
+const favoriteRiderValidation = [
+  body('userId')
+    .isUUID()
+    .withMessage('Invalid user ID'),
+  handleValidationErrors
+];
+
+// Rider preference validation rules
+const ridePreferencesValidation = [
+  body('gender')
+    .optional()
+    .isIn(GENDERS)
+    .withMessage('Invalid gender'),
+  body('preferences')
+    .optional()
+    .isObject()
+    .withMessage('Preferences must be an object'),
+  body(['preferences.smoker', 'preferences.travelsWithPet'])
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Preference must be true or false'),
+  body('preferences.luggageSize')
+    .optional()
+    .isIn(LUGGAGE_SIZES)
+    .withMessage('Invalid luggage size'),
+  body('preferences.music')
+    .optional()
+    .isIn(MUSIC_OPTIONS)
+    .withMessage('Invalid music preference'),
+  handleValidationErrors
+];
+
+// Saved place validation rules; an address, coordinates or both are required
+const savedPlaceValidation = (optional = false) => [
+  (optional ? body('label').optional() : body('label'))
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Label must be between 1 and 50 characters'),
+  body('type')
+    .optional()
+    .isIn(['home', 'work', 'favorite'])
+    .withMessage('Type must be home, work or favorite'),
+  body('address')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 255 })
+    .withMessage('Address must be between 2 and 255 characters'),
+  body('latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Invalid latitude'),
+  body('longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Invalid longitude'),
+  body()
+    .custom(value => optional ||
+      value.address !== undefined || (value.latitude !== undefined && value.longitude !== undefined))
+    .withMessage('Provide an address or latitude and longitude'),
+  handleValidationErrors
+];
+
+// Driver application validation rules
+const driverApplicationValidation = [
+  body('licenseNumber')
+    .trim()
+    .isLength({ min: 4, max: 50 })
+    .withMessage('License number is required'),
+  body('licenseExpiry')
+    .isISO8601()
+    .withMessage('Please provide a valid license expiry date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('License has already expired'),
+  handleValidationErrors
+];
+
+// Vehicle validation rules; `optional` for partial updates
+const vehicleValidation = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('make').trim().isLength({ min: 1, max: 100 }).withMessage('Make is required'),
+    field('model').trim().isLength({ min: 1, max: 100 }).withMessage('Model is required'),
+    field('color').trim().isLength({ min: 2, max: 50 }).withMessage('Color is required'),
+    field('plateNumber')
+      .trim()
+      .toUpperCase()
+      .matches(/^[A-Z0-9 -]{2,20}$/)
+      .withMessage('Please provide a valid plate number'),
+    field('seatCapacity')
+      .isInt({ min: 1, max: 15 })
+      .toInt()
+      .withMessage('Seat capacity must be between 1 and 15 passenger seats'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .toBoolean()
+      .withMessage('isActive must be a boolean'),
+    handleValidationErrors
+  ];
+};
+
+const vehiclePhotoValidation = [
+  body('photoUrl')
+    .isString()
+    .withMessage('Photo URL is required'),
+  handleValidationErrors
+];
+
+// Report validation rules
+const REPORT_CATEGORIES = [
+  'harassment',
+  'unsafe_driving',
+  'no_show',
+  'fraud',
+  'inappropriate_content',
+  'discrimination',
+  'other'
+];
+
+const reportValidation = [
+  body('reportedUserId').isUUID().withMessage('Invalid user ID'),
+  body('category').isIn(REPORT_CATEGORIES).withMessage('Invalid report category'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Description must be at most 2000 characters'),
+  body('lobbyId').optional().isUUID().withMessage('Invalid lobby ID'),
+  body('rideId').optional().isUUID().withMessage('Invalid ride ID'),
+  body('messageId').optional().isUUID().withMessage('Invalid message ID'),
+  body('block').optional().isBoolean().toBoolean(),
+  handleValidationErrors
+];
+
+// Emergency contact validation rules
+const emergencyContactValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('phone')
+    .isMobilePhone()
+    .withMessage('Please provide a valid phone number'),
+  body('relationship')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Relationship must be at most 50 characters'),
+  handleValidationErrors
+];
+
+const sosValidation = [
+  body('lobbyId')
+    .isUUID()
+    .withMessage('Invalid lobby ID'),
+  body('latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Invalid latitude'),
+  body('longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Invalid longitude'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message must be at most 500 characters'),
   handleValidationErrors
 ];
 
@@ -79,19 +550,44 @@ const sendMessageValidation = [
   handleValidationErrors
 ];
 
-// UUID validation
-const uuidValidation = [
-  param('id')
+// UUID validation for a named route parameter
+const uuidParamValidation = (name) => [
+  param(name)
     .isUUID()
     .withMessage('Invalid ID format'),
   handleValidationErrors
 ];
 
+const uuidValidation = uuidParamValidation('id');
+
 module.exports = {
   registerValidation,
   loginValidation,
+  verifyOtpValidation,
+  refreshTokenValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  twoFactorCodeValidation,
+  twoFactorLoginValidation,
   createLobbyValidation,
+  lobbySeriesValidation,
+  lobbyOccurrenceValidation,
+  joinLobbyValidation,
+  removeMemberValidation,
+  searchLobbiesValidation,
+  routeMatchValidation,
+  rideAgainValidation,
+  favoriteRiderValidation,
+  ridePreferencesValidation,
+  savedPlaceValidation,
+  driverApplicationValidation,
+  vehicleValidation,
+  vehiclePhotoValidation,
+  reportValidation,
+  emergencyContactValidation,
+  sosValidation,
   sendMessageValidation,
   uuidValidation,
+  uuidParamValidation,
   handleValidationErrors
 };
\ No newline at end of file
@@ -0,0 +1,576 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { pool, query } = require('../config/database');
+const { ROLES } = require('../config/roles');
+const loginThrottleService = require('../services/loginThrottleService');
+const sessionService = require('../services/sessionService');
+const { privateStorage } = require('../services/storage');
+const { authenticateToken, requireRole, requirePermission } = require('../middleware/auth');
+const { uuidValidation, handleValidationErrors } = require('../middleware/validation');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Every admin endpoint requires an authenticated admin
+router.use(authenticateToken, requireRole('admin'));
+
+// List users
+router.get('/users', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { role, search, page = 1, limit = 20 } = req.query;
+
+    let whereConditions = ['1 = 1'];
+    let queryParams = [];
+    let paramCount = 1;
+
+    if (role) {
+      whereConditions.push(`role = $${paramCount}`);
+      queryParams.push(role);
+      paramCount++;
+    }
+
+    if (search) {
+      whereConditions.push(`(name ILIKE $${paramCount} OR email ILIKE $${paramCount} OR phone ILIKE $${paramCount})`);
+      queryParams.push(`%${search}%`);
+      paramCount++;
+    }
+
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const result = await query(
+      `SELECT id, name, email, phone, role, is_verified, is_active, total_rides, rating, member_since, last_active
+       FROM users
+       WHERE ${whereConditions.join(' AND ')}
+       ORDER BY created_at DESC
+       LIMIT $${paramCount} OFFSET $${paramCount + 1}`,
+      [...queryParams, parseInt(limit), offset]
+    );
+
+    const countResult = await query(
+      `SELECT COUNT(*) FROM users WHERE ${whereConditions.join(' AND ')}`,
+      queryParams
+    );
+
+    const totalUsers = parseInt(countResult.rows[0].count);
+    const totalPages = Math.ceil(totalUsers / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        users: result.rows,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalUsers,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Admin list users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get users'
+    });
+  }
+});
+
+// Change a user's role
+router.put('/users/:id/role',
+  requirePermission('users:manage'),
+  uuidValidation,
+  [
+    body('role').isIn(ROLES).withMessage('Invalid role'),
+    handleValidationErrors
+  ],
+  async (req, res) => {
+    try {
+      const { role } = req.body;
+
+      if (req.params.id === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot change your own role'
+        });
+      }
+
+      const result = await query(
+        'UPDATE users SET role = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING id, name, role',
+        [role, req.params.id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      logger.info(`Role of user ${req.params.id} set to ${role} by admin ${req.user.id}`);
+
+      res.json({
+        success: true,
+        message: 'User role updated successfully',
+        data: { user: result.rows[0] }
+      });
+    } catch (error) {
+      logger.error('Admin update role error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update user role'
+      });
+    }
+  }
+);
+
+// Lift a login lockout for a user's phone (and optionally an IP address)
+router.post('/users/:id/unlock',
+  requirePermission('users:manage'),
+  uuidValidation,
+  [
+    body('ip').optional().isIP().withMessage('Invalid IP address'),
+    handleValidationErrors
+  ],
+  async (req, res) => {
+    try {
+      const result = await query(
+        'SELECT id, phone FROM users WHERE id = $1',
+        [req.params.id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const unlockedBy = `admin ${req.user.id}`;
+      await loginThrottleService.unlockPhone(result.rows[0].phone, unlockedBy);
+
+      if (req.body.ip) {
+        await loginThrottleService.unlockIp(req.body.ip, unlockedBy);
+      }
+
+      res.json({
+        success: true,
+        message: 'Account unlocked successfully'
+      });
+    } catch (error) {
+      logger.error('Admin unlock user error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to unlock account'
+      });
+    }
+  }
+);
+
+// List driver applications (pending first by default)
+router.get('/driver-applications', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const result = await query(
+      `SELECT da.id, da.user_id, da.status, da.license_number, da.license_expiry, da.review_notes,
+              da.reviewed_by, da.reviewed_at, da.created_at,
+              u.name as user_name, u.phone as user_phone, u.rating as user_rating
+       FROM driver_applications da
+       JOIN users u ON da.user_id = u.id
+       WHERE da.status = $1
+       ORDER BY da.created_at ASC
+       LIMIT $2 OFFSET $3`,
+      [status, parseInt(limit), offset]
+    );
+
+    const countResult = await query(
+      'SELECT COUNT(*) FROM driver_applications WHERE status = $1',
+      [status]
+    );
+
+    const totalApplications = parseInt(countResult.rows[0].count);
+    const totalPages = Math.ceil(totalApplications / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        applications: result.rows,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalApplications,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Admin list driver applications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get driver applications'
+    });
+  }
+});
+
+// Download an application document (license or registration)
+router.get('/driver-applications/:id/documents/:document',
+  requirePermission('users:manage'),
+  uuidValidation,
+  async (req, res) => {
+    try {
+      const columns = {
+        license: 'license_document_path',
+        registration: 'registration_document_path'
+      };
+      const column = columns[req.params.document];
+
+      if (!column) {
+        return res.status(400).json({
+          success: false,
+          message: 'Unknown document type'
+        });
+      }
+
+      const result = await query(
+        `SELECT ${column} AS document_path FROM driver_applications WHERE id = $1`,
+        [req.params.id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Application not found'
+        });
+      }
+
+      const file = await privateStorage.stream(result.rows[0].document_path);
+
+      if (!file) {
+        return res.status(404).json({
+          success: false,
+          message: 'Document not found'
+        });
+      }
+
+      res.type(file.contentType);
+      file.stream.pipe(res);
+    } catch (error) {
+      logger.error('Admin get driver document error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get document'
+      });
+    }
+  }
+);
+
+// Approve or reject a pending driver application
+const reviewDriverApplication = (decision) => async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { notes } = req.body;
+
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE driver_applications
+       SET status = $1, review_notes = $2, reviewed_by = $3, reviewed_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4 AND status = 'pending'
+       RETURNING id, user_id, status`,
+      [decision, notes || null, req.user.id, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Pending application not found'
+      });
+    }
+
+    const application = result.rows[0];
+
+    if (decision === 'approved') {
+      // The new approval supersedes any older one
+      await client.query(
+        `UPDATE driver_applications SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1 AND status = 'approved' AND id != $2`,
+        [application.user_id, application.id]
+      );
+      await client.query(
+        `UPDATE users SET role = 'driver', updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND role = 'rider'`,
+        [application.user_id]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    req.app.get('io').to(`user_${application.user_id}`).emit('driver_application_updated', {
+      applicationId: application.id,
+      status: application.status,
+      notes: notes || null,
+      timestamp: new Date()
+    });
+
+    logger.info(`Driver application ${application.id} ${decision} by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: `Driver application ${decision}`,
+      data: { application }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Admin review driver application error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review driver application'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+router.post('/driver-applications/:id/approve',
+  requirePermission('users:manage'),
+  uuidValidation,
+  [
+    body('notes').optional().trim().isLength({ max: 1000 }),
+    handleValidationErrors
+  ],
+  reviewDriverApplication('approved')
+);
+
+router.post('/driver-applications/:id/reject',
+  requirePermission('users:manage'),
+  uuidValidation,
+  [
+    body('notes').trim().isLength({ min: 3, max: 1000 }).withMessage('A rejection reason is required'),
+    handleValidationErrors
+  ],
+  reviewDriverApplication('rejected')
+);
+
+// Moderation queue: reports with reporter and reported user (open first, oldest first)
+router.get('/reports', requirePermission('moderation:review'), async (req, res) => {
+  try {
+    const { status = 'open', category, page = 1, limit = 20 } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    let whereConditions = ['ur.status = $1'];
+    let queryParams = [status];
+    let paramCount = 2;
+
+    if (category) {
+      whereConditions.push(`ur.category = $${paramCount}`);
+      queryParams.push(category);
+      paramCount++;
+    }
+
+    const result = await query(
+      `SELECT ur.*,
+              reporter.name as reporter_name,
+              reported.name as reported_user_name, reported.phone as reported_user_phone,
+              reported.is_active as reported_user_active,
+              (SELECT COUNT(*) FROM user_reports prior
+               WHERE prior.reported_user_id = ur.reported_user_id) as reports_against_user
+       FROM user_reports ur
+       LEFT JOIN users reporter ON ur.reporter_id = reporter.id
+       JOIN users reported ON ur.reported_user_id = reported.id
+       WHERE ${whereConditions.join(' AND ')}
+       ORDER BY ur.created_at ASC
+       LIMIT $${paramCount} OFFSET $${paramCount + 1}`,
+      [...queryParams, parseInt(limit), offset]
+    );
+
+    const countResult = await query(
+      `SELECT COUNT(*) FROM user_reports ur WHERE ${whereConditions.join(' AND ')}`,
+      queryParams
+    );
+
+    const totalReports = parseInt(countResult.rows[0].count);
+    const totalPages = Math.ceil(totalReports / parseInt(limit));
+
+    // Evidence paths stay on the server; moderators fetch files by index
+    const reports = result.rows.map(report => ({
+      ...report,
+      evidence: report.evidence.map((item, index) => ({
+        originalName: item.originalName,
+        mimeType: item.mimeType,
+        url: `/api/admin/reports/${report.id}/evidence/${index}`
+      }))
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        reports,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalReports,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Admin list reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get reports'
+    });
+  }
+});
+
+// Download a report evidence file
+router.get('/reports/:id/evidence/:index',
+  requirePermission('moderation:review'),
+  uuidValidation,
+  async (req, res) => {
+    try {
+      const result = await query('SELECT evidence FROM user_reports WHERE id = $1', [req.params.id]);
+      const item = result.rows.length > 0 ? result.rows[0].evidence[parseInt(req.params.index)] : null;
+      // Evidence filed before the storage layer has a path under private_uploads instead of a key
+      const file = item ? await privateStorage.stream(item.key || item.path) : null;
+
+      if (!file) {
+        return res.status(404).json({
+          success: false,
+          message: 'Evidence not found'
+        });
+      }
+
+      res.type(file.contentType);
+      file.stream.pipe(res);
+    } catch (error) {
+      logger.error('Admin get report evidence error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get evidence'
+      });
+    }
+  }
+);
+
+// Close a report, optionally warning or suspending the reported user
+router.post('/reports/:id/review',
+  requirePermission('moderation:review'),
+  uuidValidation,
+  [
+    body('status').isIn(['actioned', 'dismissed']).withMessage('Status must be actioned or dismissed'),
+    body('action').optional().isIn(['none', 'warning', 'suspension']).withMessage('Invalid action'),
+    body('notes').optional().trim().isLength({ max: 1000 }),
+    handleValidationErrors
+  ],
+  async (req, res) => {
+    try {
+      const { status, notes } = req.body;
+      const action = status === 'dismissed' ? 'none' : (req.body.action || 'none');
+
+      const result = await query(
+        `UPDATE user_reports
+         SET status = $1, action_taken = $2, review_notes = $3, reviewed_by = $4, reviewed_at = CURRENT_TIMESTAMP
+         WHERE id = $5 AND status = 'open'
+         RETURNING id, reported_user_id, category, status, action_taken`,
+        [status, action, notes || null, req.user.id, req.params.id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Open report not found'
+        });
+      }
+
+      const report = result.rows[0];
+      const io = req.app.get('io');
+
+      if (action === 'warning') {
+        io.to(`user_${report.reported_user_id}`).emit('moderation_warning', {
+          category: report.category,
+          message: notes || null,
+          timestamp: new Date()
+        });
+      }
+
+      if (action === 'suspension') {
+        await query(
+          'UPDATE users SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+          [report.reported_user_id]
+        );
+        await sessionService.revokeAllSessions(report.reported_user_id, { io });
+      }
+
+      logger.info(`Report ${report.id} ${status} (${action}) by admin ${req.user.id}`);
+
+      res.json({
+        success: true,
+        message: `Report ${status}`,
+        data: { report }
+      });
+    } catch (error) {
+      logger.error('Admin review report error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to review report'
+      });
+    }
+  }
+);
+
+// List SOS incidents (open ones by default)
+router.get('/sos', requirePermission('safety:respond'), async (req, res) => {
+  try {
+    const { status = 'open', page = 1, limit = 20 } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const result = await query(
+      `SELECT si.*, u.name as user_name, u.phone as user_phone,
+              l.from_location, l.to_location, l.creator_id
+       FROM sos_incidents si
+       JOIN users u ON si.user_id = u.id
+       LEFT JOIN lobbies l ON si.lobby_id = l.id
+       WHERE si.status = $1
+       ORDER BY si.created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [status, parseInt(limit), offset]
+    );
+
+    const countResult = await query(
+      'SELECT COUNT(*) FROM sos_incidents WHERE status = $1',
+      [status]
+    );
+
+    const totalIncidents = parseInt(countResult.rows[0].count);
+    const totalPages = Math.ceil(totalIncidents / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        incidents: result.rows,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalIncidents,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Admin list SOS incidents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get SOS incidents'
+    });
+  }
+});
+
+module.exports = router;
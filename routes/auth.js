@@ -1,17 +1,44 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const { query } = require('../config/database');
-const { registerValidation, loginValidation } = require('../middleware/validation');
+const {
+  registerValidation,
+  loginValidation,
+  verifyOtpValidation,
+  refreshTokenValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  twoFactorLoginValidation,
+  twoFactorCodeValidation,
+  uuidValidation
+} = require('../middleware/validation');
 const { authenticateToken } = require('../middleware/auth');
+const sessionService = require('../services/sessionService');
+const otpService = require('../services/otpService');
+const loginThrottleService = require('../services/loginThrottleService');
+const twoFactorService = require('../services/twoFactorService');
+const accountDeletionService = require('../services/accountDeletionService');
+const referralService = require('../services/referralService');
+const smsService = require('../services/smsService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Stricter per-IP limit for password recovery on top of the global API limiter
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.PASSWORD_RESET_RATE_LIMIT) || 5,
+  message: {
+    success: false,
+    message: 'Too many password reset attempts, please try again later.'
+  }
+});
+
 // Register
 router.post('/register', registerValidation, async (req, res) => {
   try {
-    const { name, email, phone, password, avatarUrl } = req.body;
+    const { name, email, phone, password, avatarUrl, referralCode } = req.body;
 
     // Check if user already exists
     const existingUser = await query(
@@ -26,6 +53,18 @@ router.post('/register', registerValidation, async (req, res) => {
       });
     }
 
+    let referrer = null;
+    if (referralCode) {
+      referrer = await referralService.findReferrer(referralCode);
+
+      if (!referrer) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid referral code'
+        });
+      }
+    }
+
     // Hash password
     const saltRounds = 12;
     const passwordHash = await bcrypt.hash(password, saltRounds);
@@ -34,24 +73,21 @@ router.post('/register', registerValidation, async (req, res) => {
     const result = await query(
       `INSERT INTO users (name, email, phone, password_hash, avatar_url) 
        VALUES ($1, $2, $3, $4, $5) 
-       RETURNING id, name, email, phone, avatar_url, is_verified, total_rides, member_since`,
+       RETURNING id, name, email, phone, avatar_url, is_verified, role, total_rides, member_since`,
       [name, email, phone, passwordHash, avatarUrl]
     );
 
     const user = result.rows[0];
+    const deviceInfo = sessionService.getDeviceInfo(req);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    user.referral_code = await referralService.assignCode(user.id);
 
-    // Save session
-    await query(
-      'INSERT INTO user_sessions (user_id, token_hash, expires_at) VALUES ($1, $2, $3)',
-      [user.id, await bcrypt.hash(token, 10), new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)]
-    );
+    if (referrer) {
+      await referralService.recordReferral(referrer, user, referralCode, deviceInfo);
+    }
+
+    // Create session with its access and refresh tokens
+    const { token, refreshToken } = await sessionService.createSession(user, deviceInfo);
 
     logger.info(`New user registered: ${user.email}`);
 
@@ -66,10 +102,13 @@ router.post('/register', registerValidation, async (req, res) => {
           phone: user.phone,
           avatar: user.avatar_url,
           isVerified: user.is_verified,
+          role: user.role,
           totalRides: user.total_rides,
-          memberSince: user.member_since
+          memberSince: user.member_since,
+          referralCode: user.referral_code
         },
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -81,27 +120,98 @@ router.post('/register', registerValidation, async (req, res) => {
   }
 });
 
+const sendLoginLocked = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: `Too many failed login attempts, please try again in ${retryAfter} seconds`,
+    data: { retryAfter }
+  });
+};
+
+// Count a failed login and answer with 401, or 429 once the limit is reached
+const rejectLogin = async (req, res, phone) => {
+  const throttle = await loginThrottleService.recordFailure(phone, req.ip);
+
+  if (throttle.locked) {
+    return sendLoginLocked(res, throttle.retryAfter);
+  }
+
+  return res.status(401).json({
+    success: false,
+    message: 'Invalid credentials'
+  });
+};
+
+// An account deactivated by its owner and still inside the deletion grace period
+const isPendingDeletion = (user) => Boolean(user.deletion_scheduled_for && !user.purged_at);
+
+// Final login step shared by password-only and two-factor logins
+const completeLogin = async (req, res, user, { cancelDeletion = false } = {}) => {
+  await loginThrottleService.recordSuccess(user.phone);
+
+  if (cancelDeletion && isPendingDeletion(user)) {
+    await accountDeletionService.cancelDeletion(user.id);
+  }
+
+  // Create session with its access and refresh tokens
+  const { token, refreshToken } = await sessionService.createSession(user, sessionService.getDeviceInfo(req));
+
+  // Update last active
+  await query(
+    'UPDATE users SET last_active = CURRENT_TIMESTAMP WHERE id = $1',
+    [user.id]
+  );
+
+  logger.info(`User logged in: ${user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        phone: user.phone,
+        avatar: user.avatar_url,
+        isVerified: user.is_verified,
+        role: user.role,
+        totalRides: user.total_rides,
+        memberSince: user.member_since
+      },
+      token,
+      refreshToken
+    }
+  });
+};
+
 // Login
 router.post('/login', loginValidation, async (req, res) => {
   try {
-    const { phone, password } = req.body;
+    const { phone, password, cancelDeletion } = req.body;
+
+    // Refuse early while the phone or IP is locked out
+    const lockout = await loginThrottleService.check(phone, req.ip);
+    if (lockout.locked) {
+      return sendLoginLocked(res, lockout.retryAfter);
+    }
 
     // Find user by phone
     const result = await query(
-      'SELECT id, name, email, phone, password_hash, avatar_url, is_verified, total_rides, member_since, is_active FROM users WHERE phone = $1',
+      `SELECT id, name, email, phone, password_hash, avatar_url, is_verified, role, totp_enabled,
+              total_rides, member_since, is_active, deletion_scheduled_for, purged_at
+       FROM users WHERE phone = $1`,
       [phone]
     );
 
     if (result.rows.length === 0) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
+      return rejectLogin(req, res, phone);
     }
 
     const user = result.rows[0];
 
-    if (!user.is_active) {
+    if (!user.is_active && !isPendingDeletion(user)) {
       return res.status(401).json({
         success: false,
         message: 'Account is deactivated'
@@ -111,52 +221,96 @@ router.post('/login', loginValidation, async (req, res) => {
     // Check password
     const isValidPassword = await bcrypt.compare(password, user.password_hash);
     if (!isValidPassword) {
+      return rejectLogin(req, res, phone);
+    }
+
+    // Logging back in during the grace period may cancel the deletion, but only when asked to
+    if (!user.is_active && !cancelDeletion) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is scheduled for deletion. Log in with cancelDeletion set to restore it.',
+        data: {
+          pendingDeletion: true,
+          scheduledFor: user.deletion_scheduled_for
+        }
+      });
+    }
+
+    // Second factor required: hand out a short-lived challenge instead of tokens
+    if (user.totp_enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor code required',
+        data: {
+          requiresTwoFactor: true,
+          challengeToken: twoFactorService.createChallengeToken(user.id, { cancelDeletion: !user.is_active })
+        }
+      });
+    }
+
+    await completeLogin(req, res, user, { cancelDeletion: !user.is_active });
+  } catch (error) {
+    logger.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+});
+
+// Second login step for accounts with two-factor authentication
+router.post('/login/2fa', twoFactorLoginValidation, async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    const challenge = twoFactorService.verifyChallengeToken(challengeToken);
+
+    if (!challenge) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'Login challenge expired, please log in again'
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
+    const result = await query(
+      `SELECT id, name, email, phone, avatar_url, is_verified, role, total_rides, member_since,
+              is_active, deletion_scheduled_for, purged_at
+       FROM users
+       WHERE id = $1 AND (is_active = true OR ($2 AND deletion_scheduled_for IS NOT NULL AND purged_at IS NULL))`,
+      [challenge.userId, challenge.cancelDeletion]
     );
 
-    // Save session
-    await query(
-      'INSERT INTO user_sessions (user_id, token_hash, expires_at) VALUES ($1, $2, $3)',
-      [user.id, await bcrypt.hash(token, 10), new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)]
-    );
+    if (result.rows.length === 0) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
 
-    // Update last active
-    await query(
-      'UPDATE users SET last_active = CURRENT_TIMESTAMP WHERE id = $1',
-      [user.id]
-    );
+    const user = result.rows[0];
 
-    logger.info(`User logged in: ${user.email}`);
+    const lockout = await loginThrottleService.check(user.phone, req.ip);
+    if (lockout.locked) {
+      return sendLoginLocked(res, lockout.retryAfter);
+    }
 
-    res.json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: {
-          id: user.id,
-          name: user.name,
-          email: user.email,
-          phone: user.phone,
-          avatar: user.avatar_url,
-          isVerified: user.is_verified,
-          totalRides: user.total_rides,
-          memberSince: user.member_since
-        },
-        token
+    const verification = await twoFactorService.verify(user.id, code);
+
+    if (!verification.success) {
+      const throttle = await loginThrottleService.recordFailure(user.phone, req.ip);
+      if (throttle.locked) {
+        return sendLoginLocked(res, throttle.retryAfter);
       }
-    });
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    await completeLogin(req, res, user, { cancelDeletion: challenge.cancelDeletion });
   } catch (error) {
-    logger.error('Login error:', error);
+    logger.error('Two-factor login error:', error);
     res.status(500).json({
       success: false,
       message: 'Login failed'
@@ -167,14 +321,8 @@ router.post('/login', loginValidation, async (req, res) => {
 // Logout
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
     // Remove session
-    await query(
-      'DELETE FROM user_sessions WHERE user_id = $1 AND token_hash = $2',
-      [req.user.id, await bcrypt.hash(token, 10)]
-    );
+    await sessionService.revokeSession(req.user.id, req.sessionId, req.app.get('io'));
 
     logger.info(`User logged out: ${req.user.email}`);
 
@@ -195,7 +343,7 @@ router.post('/logout', authenticateToken, async (req, res) => {
 router.get('/me', authenticateToken, async (req, res) => {
   try {
     const result = await query(
-      'SELECT id, name, email, phone, avatar_url, is_verified, total_rides, rating, member_since FROM users WHERE id = $1',
+      'SELECT id, name, email, phone, avatar_url, is_verified, role, totp_enabled, total_rides, rating, member_since FROM users WHERE id = $1',
       [req.user.id]
     );
 
@@ -211,6 +359,8 @@ router.get('/me', authenticateToken, async (req, res) => {
           phone: user.phone,
           avatar: user.avatar_url,
           isVerified: user.is_verified,
+          role: user.role,
+          twoFactorEnabled: user.totp_enabled,
           totalRides: user.total_rides,
           rating: parseFloat(user.rating),
           memberSince: user.member_since
@@ -226,25 +376,374 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
-// Refresh token
-router.post('/refresh', authenticateToken, async (req, res) => {
+// List active sessions (devices) for the current user
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session.id,
+          deviceInfo: session.device_info,
+          createdAt: session.created_at,
+          lastUsedAt: session.last_used_at,
+          expiresAt: session.expires_at,
+          current: session.id === req.sessionId
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get sessions'
+    });
+  }
+});
+
+// Revoke a session (sign out a device)
+router.delete('/sessions/:id', authenticateToken, uuidValidation, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeSession(req.user.id, req.params.id, req.app.get('io'));
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    logger.info(`Session ${req.params.id} revoked by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session'
+    });
+  }
+});
+
+// Start two-factor enrollment: returns the secret and otpauth URI for a QR code
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.totp_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { secret, otpauthUri } = await twoFactorService.beginEnrollment(req.user);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: { secret, otpauthUri }
+    });
+  } catch (error) {
+    logger.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup'
+    });
+  }
+});
+
+// Confirm enrollment with the first code; returns one-time backup codes
+router.post('/2fa/enable', authenticateToken, twoFactorCodeValidation, async (req, res) => {
+  try {
+    const backupCodes = await twoFactorService.confirmEnrollment(req.user.id, req.body.code);
+
+    if (!backupCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid code or no pending two-factor setup'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    logger.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication'
+    });
+  }
+});
+
+// Replace backup codes (requires a current code)
+router.post('/2fa/backup-codes', authenticateToken, twoFactorCodeValidation, async (req, res) => {
+  try {
+    const verification = await twoFactorService.verify(req.user.id, req.body.code);
+
+    if (!verification.success) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const backupCodes = await twoFactorService.regenerateBackupCodes(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Backup codes regenerated',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    logger.error('Two-factor backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate backup codes'
+    });
+  }
+});
+
+// Turn two-factor authentication off (requires password and a current code)
+router.post('/2fa/disable', authenticateToken, twoFactorCodeValidation, async (req, res) => {
   try {
-    // Generate new token
-    const token = jwt.sign(
-      { userId: req.user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
+    const { password, code } = req.body;
+
+    const result = await query(
+      'SELECT password_hash FROM users WHERE id = $1',
+      [req.user.id]
     );
 
-    // Update session
+    const isValidPassword = password && await bcrypt.compare(password, result.rows[0].password_hash);
+    const verification = isValidPassword && await twoFactorService.verify(req.user.id, code);
+
+    if (!verification || !verification.success) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or two-factor code'
+      });
+    }
+
+    await twoFactorService.disable(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    logger.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication'
+    });
+  }
+});
+
+// Request a phone verification code
+router.post('/verify/request', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.is_verified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number is already verified'
+      });
+    }
+
+    const otp = await otpService.issue(req.user.phone, 'phone_verification');
+
+    if (!otp.success) {
+      res.set('Retry-After', String(otp.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${otp.retryAfter} seconds before requesting a new code`,
+        data: { retryAfter: otp.retryAfter }
+      });
+    }
+
+    await smsService.send(
+      req.user.phone,
+      `Your G.A.R.I. verification code is ${otp.code}. It expires in ${Math.round(otp.expiresIn / 60)} minutes.`
+    );
+
+    res.json({
+      success: true,
+      message: 'Verification code sent',
+      data: { expiresIn: otp.expiresIn }
+    });
+  } catch (error) {
+    logger.error('Verification request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification code'
+    });
+  }
+});
+
+// Confirm phone verification code
+router.post('/verify/confirm', authenticateToken, verifyOtpValidation, async (req, res) => {
+  try {
+    if (req.user.is_verified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number is already verified'
+      });
+    }
+
+    const result = await otpService.verify(req.user.phone, 'phone_verification', req.body.code);
+
+    if (!result.success) {
+      const messages = {
+        not_found: 'No verification code requested',
+        expired: 'Verification code has expired',
+        too_many_attempts: 'Too many incorrect attempts, please request a new code',
+        invalid: 'Invalid verification code'
+      };
+
+      return res.status(400).json({
+        success: false,
+        message: messages[result.reason],
+        ...(result.attemptsRemaining !== undefined && {
+          data: { attemptsRemaining: result.attemptsRemaining }
+        })
+      });
+    }
+
+    await query(
+      'UPDATE users SET is_verified = true, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [req.user.id]
+    );
+
+    logger.info(`Phone verified for user: ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Phone number verified successfully',
+      data: { isVerified: true }
+    });
+  } catch (error) {
+    logger.error('Verification confirm error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify phone number'
+    });
+  }
+});
+
+// Request a password reset code. The response is identical whether or not
+// the phone number is registered.
+router.post('/password/forgot', passwordResetLimiter, forgotPasswordValidation, async (req, res) => {
+  try {
+    const { phone } = req.body;
+
+    const result = await query(
+      'SELECT id FROM users WHERE phone = $1 AND is_active = true',
+      [phone]
+    );
+
+    if (result.rows.length > 0) {
+      const otp = await otpService.issue(phone, 'password_reset');
+
+      if (otp.success) {
+        await smsService.send(
+          phone,
+          `Your G.A.R.I. password reset code is ${otp.code}. It expires in ${Math.round(otp.expiresIn / 60)} minutes. If you did not request it, ignore this message.`
+        );
+        logger.info(`Password reset code sent for user: ${result.rows[0].id}`);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this phone number, a reset code has been sent'
+    });
+  } catch (error) {
+    logger.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request password reset'
+    });
+  }
+});
+
+// Reset password with the code sent by SMS
+router.post('/password/reset', passwordResetLimiter, resetPasswordValidation, async (req, res) => {
+  try {
+    const { phone, code, newPassword } = req.body;
+
+    const verification = await otpService.verify(phone, 'password_reset', code);
+
+    const userResult = verification.success
+      ? await query('SELECT id FROM users WHERE phone = $1 AND is_active = true', [phone])
+      : { rows: [] };
+
+    // Same answer for unknown numbers and wrong codes
+    if (userResult.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset code'
+      });
+    }
+
+    const userId = userResult.rows[0].id;
+
+    // Hash new password
+    const saltRounds = 12;
+    const passwordHash = await bcrypt.hash(newPassword, saltRounds);
+
     await query(
-      'UPDATE user_sessions SET token_hash = $1, expires_at = $2 WHERE user_id = $3',
-      [await bcrypt.hash(token, 10), new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), req.user.id]
+      'UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [passwordHash, userId]
     );
 
+    // Sign out every device and lift any login lockout
+    await sessionService.revokeAllSessions(userId, { io: req.app.get('io') });
+    await loginThrottleService.unlockPhone(phone, 'password reset');
+
+    logger.info(`Password reset for user: ${userId}`);
+
     res.json({
       success: true,
-      data: { token }
+      message: 'Password reset successfully, please log in with your new password'
+    });
+  } catch (error) {
+    logger.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password'
+    });
+  }
+});
+
+// Refresh token (works after the access token has expired)
+router.post('/refresh', refreshTokenValidation, async (req, res) => {
+  try {
+    const result = await sessionService.rotateRefreshToken(req.body.refreshToken, req.app.get('io'));
+
+    if (result.status !== 'ok') {
+      const messages = {
+        invalid: 'Invalid refresh token',
+        expired: 'Refresh token expired',
+        reused: 'Refresh token already used, please log in again'
+      };
+
+      return res.status(401).json({
+        success: false,
+        message: messages[result.status]
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: result.token,
+        refreshToken: result.refreshToken
+      }
     });
   } catch (error) {
     logger.error('Token refresh error:', error);
@@ -0,0 +1,102 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { query } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { handleValidationErrors, uuidParamValidation } = require('../middleware/validation');
+const blockService = require('../services/blockService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// List users blocked by the current user
+router.get('/', async (req, res) => {
+  try {
+    const blocked = await blockService.listBlocked(req.user.id);
+
+    res.json({
+      success: true,
+      data: { blocked }
+    });
+  } catch (error) {
+    logger.error('Get blocked users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get blocked users'
+    });
+  }
+});
+
+// Block a user
+router.post('/',
+  [
+    body('userId').isUUID().withMessage('Invalid user ID'),
+    handleValidationErrors
+  ],
+  async (req, res) => {
+    try {
+      const { userId } = req.body;
+
+      if (userId === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot block yourself'
+        });
+      }
+
+      const userResult = await query('SELECT id FROM users WHERE id = $1', [userId]);
+
+      if (userResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      await blockService.block(req.user.id, userId);
+
+      logger.info(`User ${req.user.id} blocked user ${userId}`);
+
+      res.json({
+        success: true,
+        message: 'User blocked'
+      });
+    } catch (error) {
+      logger.error('Block user error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to block user'
+      });
+    }
+  }
+);
+
+// Unblock a user
+router.delete('/:userId', uuidParamValidation('userId'), async (req, res) => {
+  try {
+    const removed = await blockService.unblock(req.user.id, req.params.userId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not blocked'
+      });
+    }
+
+    logger.info(`User ${req.user.id} unblocked user ${req.params.userId}`);
+
+    res.json({
+      success: true,
+      message: 'User unblocked'
+    });
+  } catch (error) {
+    logger.error('Unblock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unblock user'
+    });
+  }
+});
+
+module.exports = router;
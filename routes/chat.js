@@ -1,21 +1,29 @@
 const express = require('express');
 const { query } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
-const { sendMessageValidation, uuidValidation } = require('../middleware/validation');
+const { createUpload, handleUpload, verifyFileContents } = require('../middleware/upload');
+const { sendMessageValidation, uuidParamValidation } = require('../middleware/validation');
+const imageService = require('../services/imageService');
+const { privateStorage } = require('../services/storage');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+const imageUpload = createUpload({
+  allowedTypes: ['image/jpeg', 'image/png', 'image/webp'],
+  maxFileSize: parseInt(process.env.CHAT_IMAGE_MAX_SIZE) || 10 * 1024 * 1024 // 10MB
+});
+
 // Get chat messages for a lobby
-router.get('/lobby/:lobbyId', authenticateToken, uuidValidation, async (req, res) => {
+router.get('/lobby/:lobbyId', authenticateToken, uuidParamValidation('lobbyId'), async (req, res) => {
   try {
     const { lobbyId } = req.params;
     const { page = 1, limit = 50 } = req.query;
 
-    // Check if user is a member of the lobby
+    // Only active members can read the chat; members who left or were removed cannot
     const memberCheck = await query(
-      'SELECT * FROM lobby_members WHERE lobby_id = $1 AND user_id = $2',
-      [lobbyId, req.user.id]
+      'SELECT * FROM lobby_members WHERE lobby_id = $1 AND user_id = $2 AND status = $3',
+      [lobbyId, req.user.id, 'active']
     );
 
     if (memberCheck.rows.length === 0) {
@@ -27,20 +35,25 @@ router.get('/lobby/:lobbyId', authenticateToken, uuidValidation, async (req, res
 
     const offset = (parseInt(page) - 1) * parseInt(limit);
 
+    // Messages from users the reader blocked are left out
+    const notBlocked = `NOT EXISTS (
+      SELECT 1 FROM user_blocks ub WHERE ub.blocker_id = $2 AND ub.blocked_id = cm.user_id
+    )`;
+
     const result = await query(
       `SELECT cm.*, u.name as user_name, u.avatar_url as user_avatar
        FROM chat_messages cm
        JOIN users u ON cm.user_id = u.id
-       WHERE cm.lobby_id = $1
+       WHERE cm.lobby_id = $1 AND ${notBlocked}
        ORDER BY cm.created_at DESC
-       LIMIT $2 OFFSET $3`,
-      [lobbyId, parseInt(limit), offset]
+       LIMIT $3 OFFSET $4`,
+      [lobbyId, req.user.id, parseInt(limit), offset]
     );
 
     // Get total message count
     const countResult = await query(
-      'SELECT COUNT(*) FROM chat_messages WHERE lobby_id = $1',
-      [lobbyId]
+      `SELECT COUNT(*) FROM chat_messages cm WHERE cm.lobby_id = $1 AND ${notBlocked}`,
+      [lobbyId, req.user.id]
     );
 
     const totalMessages = parseInt(countResult.rows[0].count);
@@ -71,7 +84,7 @@ router.get('/lobby/:lobbyId', authenticateToken, uuidValidation, async (req, res
 // Send message to lobby (REST endpoint - Socket.IO is preferred)
 router.post('/lobby/:lobbyId/message', 
   authenticateToken, 
-  uuidValidation, 
+  uuidParamValidation('lobbyId'), 
   sendMessageValidation, 
   async (req, res) => {
     try {
@@ -135,8 +148,131 @@ router.post('/lobby/:lobbyId/message',
   }
 );
 
+// Send an image to a lobby; it is re-encoded without metadata and only
+// lobby members can fetch it
+router.post('/lobby/:lobbyId/image',
+  authenticateToken,
+  uuidParamValidation('lobbyId'),
+  handleUpload(imageUpload.single('image')),
+  verifyFileContents,
+  async (req, res) => {
+    try {
+      const { lobbyId } = req.params;
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'No image uploaded'
+        });
+      }
+
+      const memberCheck = await query(
+        'SELECT 1 FROM lobby_members WHERE lobby_id = $1 AND user_id = $2 AND status = $3',
+        [lobbyId, req.user.id, 'active']
+      );
+
+      if (memberCheck.rows.length === 0) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not an active member of this lobby'
+        });
+      }
+
+      let image;
+      try {
+        image = await imageService.saveChatImage(lobbyId, req.file.buffer);
+      } catch (error) {
+        logger.warn(`Chat image processing failed for user ${req.user.id}: ${error.message}`);
+        return res.status(400).json({
+          success: false,
+          message: 'Could not process this image'
+        });
+      }
+
+      const result = await query(
+        `INSERT INTO chat_messages (lobby_id, user_id, message, message_type, attachment_key)
+         VALUES ($1, $2, $3, 'image', $4) RETURNING *`,
+        [lobbyId, req.user.id, image.url, image.key]
+      );
+
+      const newMessage = result.rows[0];
+
+      const messageResponse = {
+        id: newMessage.id,
+        lobbyId,
+        userId: req.user.id,
+        userName: req.user.name,
+        message: newMessage.message,
+        messageType: newMessage.message_type,
+        timestamp: newMessage.created_at
+      };
+
+      const io = req.app.get('io');
+      if (io) {
+        io.to(`lobby_${lobbyId}`).emit('new_message', messageResponse);
+      }
+
+      logger.info(`Image sent to lobby ${lobbyId} by user ${req.user.id}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Image sent successfully',
+        data: { message: messageResponse }
+      });
+    } catch (error) {
+      logger.error('Send chat image error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to send image'
+      });
+    }
+  }
+);
+
+// Download a chat image
+router.get('/lobby/:lobbyId/images/:imageId',
+  authenticateToken,
+  uuidParamValidation('lobbyId'),
+  uuidParamValidation('imageId'),
+  async (req, res) => {
+    try {
+      const { lobbyId, imageId } = req.params;
+
+      const memberCheck = await query(
+        'SELECT 1 FROM lobby_members WHERE lobby_id = $1 AND user_id = $2 AND status = $3',
+        [lobbyId, req.user.id, 'active']
+      );
+
+      if (memberCheck.rows.length === 0) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not a member of this lobby'
+        });
+      }
+
+      const file = await privateStorage.stream(imageService.chatImageKey(lobbyId, imageId));
+
+      if (!file) {
+        return res.status(404).json({
+          success: false,
+          message: 'Image not found'
+        });
+      }
+
+      res.type(file.contentType);
+      file.stream.pipe(res);
+    } catch (error) {
+      logger.error('Get chat image error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get image'
+      });
+    }
+  }
+);
+
 // Delete message
-router.delete('/message/:messageId', authenticateToken, uuidValidation, async (req, res) => {
+router.delete('/message/:messageId', authenticateToken, uuidParamValidation('messageId'), async (req, res) => {
   try {
     const { messageId } = req.params;
 
@@ -159,6 +295,10 @@ router.delete('/message/:messageId', authenticateToken, uuidValidation, async (r
       [messageId]
     );
 
+    if (messageResult.rows[0].attachment_key) {
+      await privateStorage.delete(messageResult.rows[0].attachment_key);
+    }
+
     logger.info(`Message ${messageId} deleted by user ${req.user.id}`);
 
     res.json({
@@ -175,14 +315,14 @@ router.delete('/message/:messageId', authenticateToken, uuidValidation, async (r
 });
 
 // Get lobby chat summary
-router.get('/lobby/:lobbyId/summary', authenticateToken, uuidValidation, async (req, res) => {
+router.get('/lobby/:lobbyId/summary', authenticateToken, uuidParamValidation('lobbyId'), async (req, res) => {
   try {
     const { lobbyId } = req.params;
 
-    // Check if user is a member of the lobby
+    // Check if user is an active member of the lobby
     const memberCheck = await query(
-      'SELECT * FROM lobby_members WHERE lobby_id = $1 AND user_id = $2',
-      [lobbyId, req.user.id]
+      'SELECT * FROM lobby_members WHERE lobby_id = $1 AND user_id = $2 AND status = $3',
+      [lobbyId, req.user.id, 'active']
     );
 
     if (memberCheck.rows.length === 0) {
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const path = require('path');
+const express = require('express');
+const { query } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { driverApplicationValidation } = require('../middleware/validation');
+const { createUpload, handleUpload, verifyFileContents } = require('../middleware/upload');
+const driverService = require('../services/driverService');
+const { privateStorage } = require('../services/storage');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Uploads are buffered and checked before being written to private storage
+const upload = createUpload({
+  prefix: 'driver-doc',
+  allowedTypes: ['image/jpeg', 'image/png', 'application/pdf'],
+  maxFileSize: parseInt(process.env.DRIVER_DOCUMENT_MAX_SIZE) || 5 * 1024 * 1024 // 5MB
+});
+
+// Driver documents are kept in private storage, never under the public /uploads
+const storeDocument = async (file) => {
+  const key = `driver-documents/${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`;
+  await privateStorage.put(key, file.buffer, file.mimetype);
+  return key;
+};
+
+// Submit a driver application with license and vehicle registration documents
+router.post('/applications',
+  authenticateToken,
+  handleUpload(upload.fields([
+    { name: 'license', maxCount: 1 },
+    { name: 'registration', maxCount: 1 }
+  ])),
+  verifyFileContents,
+  driverApplicationValidation,
+  async (req, res) => {
+    let storedKeys = [];
+
+    try {
+      const { licenseNumber, licenseExpiry } = req.body;
+      const licenseFile = req.files && req.files.license && req.files.license[0];
+      const registrationFile = req.files && req.files.registration && req.files.registration[0];
+
+      if (!licenseFile || !registrationFile) {
+        return res.status(400).json({
+          success: false,
+          message: 'Both license and vehicle registration documents are required'
+        });
+      }
+
+      const pending = await query(
+        'SELECT id FROM driver_applications WHERE user_id = $1 AND status = $2',
+        [req.user.id, 'pending']
+      );
+
+      if (pending.rows.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'You already have an application under review'
+        });
+      }
+
+      storedKeys = [await storeDocument(licenseFile), await storeDocument(registrationFile)];
+
+      const result = await query(
+        `INSERT INTO driver_applications (user_id, license_number, license_expiry,
+                                          license_document_path, registration_document_path)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id, status, license_number, license_expiry, created_at`,
+        [req.user.id, licenseNumber, licenseExpiry, ...storedKeys]
+      );
+
+      logger.info(`Driver application ${result.rows[0].id} submitted by user ${req.user.id}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Driver application submitted for review',
+        data: { application: result.rows[0] }
+      });
+    } catch (error) {
+      logger.error('Driver application error:', error);
+      await Promise.all(storedKeys.map(key => privateStorage.delete(key).catch(() => {})));
+      res.status(500).json({
+        success: false,
+        message: 'Failed to submit driver application'
+      });
+    }
+  }
+);
+
+// Get the current user's latest application
+router.get('/applications/me', authenticateToken, async (req, res) => {
+  try {
+    const application = await driverService.getLatestApplication(req.user.id);
+    const isApprovedDriver = await driverService.isApprovedDriver(req.user.id);
+
+    res.json({
+      success: true,
+      data: { application, isApprovedDriver }
+    });
+  } catch (error) {
+    logger.error('Get driver application error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get driver application'
+    });
+  }
+});
+
+module.exports = router;
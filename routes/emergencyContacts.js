@@ -0,0 +1,157 @@
+const express = require('express');
+const { query } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { emergencyContactValidation, uuidValidation } = require('../middleware/validation');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const MAX_CONTACTS = parseInt(process.env.EMERGENCY_CONTACTS_MAX) || 5;
+
+router.use(authenticateToken);
+
+// List the current user's emergency contacts
+router.get('/', async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT id, name, phone, relationship, created_at, updated_at
+       FROM emergency_contacts WHERE user_id = $1 ORDER BY created_at`,
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: { contacts: result.rows }
+    });
+  } catch (error) {
+    logger.error('Get emergency contacts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get emergency contacts'
+    });
+  }
+});
+
+// Add an emergency contact
+router.post('/', emergencyContactValidation, async (req, res) => {
+  try {
+    const { name, phone, relationship } = req.body;
+
+    if (phone === req.user.phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot add your own number as an emergency contact'
+      });
+    }
+
+    const countResult = await query(
+      'SELECT COUNT(*) FROM emergency_contacts WHERE user_id = $1',
+      [req.user.id]
+    );
+
+    if (parseInt(countResult.rows[0].count) >= MAX_CONTACTS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_CONTACTS} emergency contacts`
+      });
+    }
+
+    const result = await query(
+      `INSERT INTO emergency_contacts (user_id, name, phone, relationship)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (user_id, phone) DO NOTHING
+       RETURNING id, name, phone, relationship, created_at, updated_at`,
+      [req.user.id, name, phone, relationship || null]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This number is already one of your emergency contacts'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Emergency contact added',
+      data: { contact: result.rows[0] }
+    });
+  } catch (error) {
+    logger.error('Add emergency contact error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add emergency contact'
+    });
+  }
+});
+
+// Update an emergency contact
+router.put('/:id', uuidValidation, emergencyContactValidation, async (req, res) => {
+  try {
+    const { name, phone, relationship } = req.body;
+
+    const result = await query(
+      `UPDATE emergency_contacts
+       SET name = $1, phone = $2, relationship = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4 AND user_id = $5
+       RETURNING id, name, phone, relationship, created_at, updated_at`,
+      [name, phone, relationship || null, req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Emergency contact not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Emergency contact updated',
+      data: { contact: result.rows[0] }
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({
+        success: false,
+        message: 'This number is already one of your emergency contacts'
+      });
+    }
+
+    logger.error('Update emergency contact error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update emergency contact'
+    });
+  }
+});
+
+// Remove an emergency contact
+router.delete('/:id', uuidValidation, async (req, res) => {
+  try {
+    const result = await query(
+      'DELETE FROM emergency_contacts WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Emergency contact not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Emergency contact removed'
+    });
+  } catch (error) {
+    logger.error('Delete emergency contact error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove emergency contact'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { uuidParamValidation } = require('../middleware/validation');
+const favoriteService = require('../services/favoriteService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// List the current user's favorite co-riders (added from a past ride)
+router.get('/', async (req, res) => {
+  try {
+    const favorites = await favoriteService.list(req.user.id);
+
+    res.json({
+      success: true,
+      data: { favorites }
+    });
+  } catch (error) {
+    logger.error('Get favorites error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get favorites'
+    });
+  }
+});
+
+// Remove a favorite
+router.delete('/:userId', uuidParamValidation('userId'), async (req, res) => {
+  try {
+    const removed = await favoriteService.remove(req.user.id, req.params.userId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not a favorite'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Favorite removed'
+    });
+  } catch (error) {
+    logger.error('Remove favorite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove favorite'
+    });
+  }
+});
+
+module.exports = router;
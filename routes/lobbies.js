@@ -1,73 +1,88 @@
 const express = require('express');
 const { query } = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
-const { createLobbyValidation, uuidValidation } = require('../middleware/validation');
-const mapboxService = require('../services/mapboxService');
+const { authenticateToken, optionalAuth, requireVerifiedPhone, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../config/roles');
+const {
+  LUGGAGE_SIZES,
+  normalizeUserPreferences,
+  getBadges,
+  checkEligibility
+} = require('../config/preferences');
+const {
+  createLobbyValidation,
+  searchLobbiesValidation,
+  routeMatchValidation,
+  joinLobbyValidation,
+  removeMemberValidation,
+  uuidValidation,
+  uuidParamValidation
+} = require('../middleware/validation');
+const lobbyService = require('../services/lobbyService');
+const lobbyStateMachine = require('../services/lobbyStateMachine');
+const joinRequestService = require('../services/joinRequestService');
+const blockService = require('../services/blockService');
+const placeService = require('../services/placeService');
+const routeMatchService = require('../services/routeMatchService');
+const { distanceKmSql, withinRadiusSql } = require('../utils/geo');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+const PLACE_SEARCH_RADIUS_KM = parseFloat(process.env.PLACE_SEARCH_RADIUS_KM) || 2;
+const SEARCH_RADIUS_KM = parseFloat(process.env.LOBBY_SEARCH_RADIUS_KM) || 3;
+
 // Create lobby
-router.post('/', authenticateToken, createLobbyValidation, async (req, res) => {
+router.post('/', authenticateToken, requirePermission('lobbies:create'), requireVerifiedPhone, createLobbyValidation, async (req, res) => {
   try {
     const {
-      fromLocation,
-      toLocation,
+      fromPlaceId,
+      toPlaceId,
       departureTime,
       vehicleType,
       availableSeats,
       pricePerSeat,
-      description
+      description,
+      vehicleId
     } = req.body;
 
-    // Geocode locations to get coordinates
-    const fromCoords = await mapboxService.geocodeAddress(fromLocation);
-    const toCoords = await mapboxService.geocodeAddress(toLocation);
+    // Saved places already carry coordinates; free-text locations are geocoded
+    const from = await placeService.resolveLobbyEndpoint(req.user.id, fromPlaceId, req.body.fromLocation);
+    const to = await placeService.resolveLobbyEndpoint(req.user.id, toPlaceId, req.body.toLocation);
 
-    if (!fromCoords || !toCoords) {
+    if (!from || !to) {
       return res.status(400).json({
         success: false,
-        message: 'Could not find coordinates for the provided locations'
+        message: fromPlaceId || toPlaceId
+          ? 'Saved place not found or location could not be resolved'
+          : 'Could not find coordinates for the provided locations'
       });
     }
 
-    // Create lobby
-    const result = await query(
-      `INSERT INTO lobbies (creator_id, from_location, to_location, from_coordinates, 
-                           to_coordinates, departure_time, vehicle_type, available_seats, 
-                           price_per_seat, description)
-       VALUES ($1, $2, $3, POINT($4, $5), POINT($6, $7), $8, $9, $10, $11, $12)
-       RETURNING *`,
-      [
-        req.user.id,
-        fromLocation,
-        toLocation,
-        fromCoords[0].coordinates[0], // longitude
-        fromCoords[0].coordinates[1], // latitude
-        toCoords[0].coordinates[0],
-        toCoords[0].coordinates[1],
-        departureTime,
-        vehicleType,
-        availableSeats,
-        pricePerSeat,
-        description
-      ]
-    );
-
-    const lobby = result.rows[0];
-
-    // Add creator as first member
-    await query(
-      'INSERT INTO lobby_members (lobby_id, user_id, pickup_location) VALUES ($1, $2, $3)',
-      [lobby.id, req.user.id, fromLocation]
-    );
+    const result = await lobbyService.createLobby(req.user, {
+      from,
+      to,
+      departureTime,
+      vehicleType,
+      availableSeats,
+      pricePerSeat,
+      description,
+      providesVehicle: req.body.providesVehicle !== false,
+      vehicleId,
+      preferences: req.body.preferences,
+      joinPolicy: req.body.joinPolicy
+    });
 
-    logger.info(`Lobby created: ${lobby.id} by user ${req.user.id}`);
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
 
     res.status(201).json({
       success: true,
       message: 'Lobby created successfully',
-      data: { lobby }
+      data: { lobby: result.lobby }
     });
   } catch (error) {
     logger.error('Create lobby error:', error);
@@ -79,23 +94,106 @@ router.post('/', authenticateToken, createLobbyValidation, async (req, res) => {
 });
 
 // Get lobbies with filters
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, searchLobbiesValidation, async (req, res) => {
   try {
     const {
       fromLocation,
       toLocation,
+      fromPlaceId,
+      toPlaceId,
+      nearLat,
+      nearLon,
+      radius,
+      destLat,
+      destLon,
+      destRadius,
       departureDate,
       maxPrice,
       minSeats,
       vehicleType,
+      womenOnly,
+      smokingAllowed,
+      petsAllowed,
+      luggageSize,
+      music,
+      compatibleOnly,
+      favoritesOnly,
       page = 1,
       limit = 10
     } = req.query;
 
-    let whereConditions = ['l.status = $1'];
+    // Departed lobbies stay active until the sweep closes them, so hide them here
+    let whereConditions = ['l.status = $1', 'l.departure_time > LOCALTIMESTAMP'];
     let queryParams = ['active'];
     let paramCount = 2;
 
+    // Radius search around the rider's origin and destination, given as
+    // coordinates or as saved places
+    const ends = [
+      {
+        column: 'l.from_coordinates',
+        distanceAs: 'distance_km',
+        latitude: nearLat,
+        longitude: nearLon,
+        radius,
+        placeId: fromPlaceId
+      },
+      {
+        column: 'l.to_coordinates',
+        distanceAs: 'dest_distance_km',
+        latitude: destLat,
+        longitude: destLon,
+        radius: destRadius,
+        placeId: toPlaceId
+      }
+    ];
+
+    if (ends.some(end => end.placeId && end.latitude === undefined) && !req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sign in to search from your saved places'
+      });
+    }
+
+    const distanceColumns = [];
+
+    for (const end of ends) {
+      let center = null;
+
+      if (end.latitude !== undefined) {
+        center = { latitude: end.latitude, longitude: end.longitude, radius: SEARCH_RADIUS_KM };
+      } else if (end.placeId) {
+        const place = await placeService.getPlace(req.user.id, end.placeId);
+
+        if (!place) {
+          return res.status(404).json({
+            success: false,
+            message: 'Saved place not found'
+          });
+        }
+
+        center = { latitude: place.latitude, longitude: place.longitude, radius: PLACE_SEARCH_RADIUS_KM };
+      }
+
+      if (!center) {
+        continue;
+      }
+
+      const [latParam, lonParam, radiusParam] = [paramCount, paramCount + 1, paramCount + 2].map(n => `$${n}`);
+
+      whereConditions.push(withinRadiusSql(end.column, latParam, lonParam, radiusParam));
+      distanceColumns.push({
+        sql: `ROUND(${distanceKmSql(end.column, latParam, lonParam)}::numeric, 2)::float8 as ${end.distanceAs}`,
+        alias: end.distanceAs
+      });
+      queryParams.push(
+        parseFloat(center.latitude),
+        parseFloat(center.longitude),
+        end.radius ? parseFloat(end.radius) : center.radius
+      );
+      paramCount += 3;
+    }
+
     if (fromLocation) {
       whereConditions.push(`l.from_location ILIKE $${paramCount}`);
       queryParams.push(`%${fromLocation}%`);
@@ -121,7 +219,7 @@ router.get('/', async (req, res) => {
     }
 
     if (minSeats) {
-      whereConditions.push(`l.available_seats >= $${paramCount}`);
+      whereConditions.push(`l.available_seats - l.seats_taken >= $${paramCount}`);
       queryParams.push(parseInt(minSeats));
       paramCount++;
     }
@@ -132,23 +230,102 @@ router.get('/', async (req, res) => {
       paramCount++;
     }
 
+    // Preference filters; lobbies created before preferences existed use the defaults
+    const addFlagCondition = (key, value) => {
+      whereConditions.push(`COALESCE((l.preferences->>'${key}')::boolean, false) = $${paramCount}`);
+      queryParams.push(value);
+      paramCount++;
+    };
+
+    const addLuggageCondition = (size) => {
+      whereConditions.push(`array_position($${paramCount}::text[], COALESCE(l.preferences->>'luggageSize', 'medium')) >= $${paramCount + 1}`);
+      queryParams.push(LUGGAGE_SIZES, LUGGAGE_SIZES.indexOf(size) + 1);
+      paramCount += 2;
+    };
+
+    Object.entries({ womenOnly, smokingAllowed, petsAllowed }).forEach(([key, value]) => {
+      if (value === 'true' || value === 'false') {
+        addFlagCondition(key, value === 'true');
+      }
+    });
+
+    if (LUGGAGE_SIZES.includes(luggageSize)) {
+      addLuggageCondition(luggageSize);
+    }
+
+    // Only lobbies the viewer would be allowed to join
+    if (compatibleOnly === 'true' && req.user) {
+      const viewer = await query('SELECT gender, ride_preferences FROM users WHERE id = $1', [req.user.id]);
+      const needs = normalizeUserPreferences(viewer.rows[0].ride_preferences);
+
+      if (viewer.rows[0].gender !== 'female') {
+        addFlagCondition('womenOnly', false);
+      }
+      if (needs.travelsWithPet) {
+        addFlagCondition('petsAllowed', true);
+      }
+      addLuggageCondition(needs.luggageSize);
+    }
+
+    if (music === 'quiet' || music === 'music') {
+      whereConditions.push(`COALESCE(l.preferences->>'music', 'any') IN ($${paramCount}, 'any')`);
+      queryParams.push(music);
+      paramCount++;
+    }
+
+    // Lobbies created or joined by the viewer's favorite co-riders
+    if (favoritesOnly === 'true') {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Sign in to see lobbies from your favorites'
+        });
+      }
+
+      whereConditions.push(`EXISTS (
+        SELECT 1 FROM favorite_riders f
+        WHERE f.user_id = $${paramCount}
+          AND (f.favorite_user_id = l.creator_id OR EXISTS (
+            SELECT 1 FROM lobby_members fm
+            WHERE fm.lobby_id = l.id AND fm.user_id = f.favorite_user_id AND fm.status = 'active'))
+      )`);
+      queryParams.push(req.user.id);
+      paramCount++;
+    }
+
+    // Hide lobbies run by users the viewer blocked, and lobbies whose members blocked the viewer
+    if (req.user) {
+      whereConditions.push(blockService.notBlockedLobbySql(`$${paramCount}`));
+      queryParams.push(req.user.id);
+      paramCount++;
+    }
+
     // Add pagination
     const offset = (parseInt(page) - 1) * parseInt(limit);
     queryParams.push(parseInt(limit), offset);
 
     const lobbiesQuery = `
       SELECT l.*, u.name as creator_name, u.avatar_url as creator_avatar,
-             u.rating as creator_rating,
+             u.rating as creator_rating, v.make as vehicle_make, v.model as vehicle_model,
+             l.available_seats - l.seats_taken as remaining_seats,
              (SELECT COUNT(*) FROM lobby_members lm WHERE lm.lobby_id = l.id AND lm.status = 'active') as member_count
+             ${distanceColumns.map(column => `, ${column.sql}`).join('')}
       FROM lobbies l
       JOIN users u ON l.creator_id = u.id
+      LEFT JOIN vehicles v ON l.vehicle_id = v.id
       WHERE ${whereConditions.join(' AND ')}
-      ORDER BY l.departure_time ASC
+      ORDER BY ${distanceColumns.map(column => `${column.alias} ASC, `).join('')}l.departure_time ASC
       LIMIT $${paramCount} OFFSET $${paramCount + 1}
     `;
 
     const result = await query(lobbiesQuery, queryParams);
 
+    result.rows.forEach(lobby => {
+      lobby.badges = getBadges(lobby.preferences);
+      delete lobby.route_geometry;
+      delete lobby.route_bbox;
+    });
+
     // Get total count for pagination
     const countQuery = `
       SELECT COUNT(*) FROM lobbies l
@@ -180,12 +357,106 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Lobbies whose route passes near the rider's pickup and then their dropoff
+router.get('/match', optionalAuth, routeMatchValidation, async (req, res) => {
+  try {
+    const { pickupLat, pickupLon, dropoffLat, dropoffLon, maxDetourKm, departureDate, limit = 20 } = req.query;
+
+    const lobbies = await routeMatchService.findMatches({
+      pickup: [parseFloat(pickupLon), parseFloat(pickupLat)],
+      dropoff: [parseFloat(dropoffLon), parseFloat(dropoffLat)],
+      maxDetourKm: maxDetourKm ? parseFloat(maxDetourKm) : undefined,
+      departureDate,
+      viewerId: req.user ? req.user.id : null,
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: { lobbies }
+    });
+  } catch (error) {
+    logger.error('Match lobbies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to match lobbies'
+    });
+  }
+});
+
+// Pending invitations to active lobbies
+router.get('/invitations', authenticateToken, async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT li.id, li.lobby_id, li.created_at, l.from_location, l.to_location, l.departure_time,
+              l.price_per_seat, u.id as inviter_id, u.name as inviter_name, u.avatar_url as inviter_avatar
+       FROM lobby_invitations li
+       JOIN lobbies l ON li.lobby_id = l.id
+       JOIN users u ON li.inviter_id = u.id
+       WHERE li.invitee_id = $1 AND li.status = 'pending' AND l.status = 'active'
+       ORDER BY l.departure_time ASC`,
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: { invitations: result.rows }
+    });
+  } catch (error) {
+    logger.error('Get lobby invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get invitations'
+    });
+  }
+});
+
+// Decline an invitation; accepting is joining the lobby
+router.post('/invitations/:id/decline', authenticateToken, uuidValidation, async (req, res) => {
+  try {
+    const result = await query(
+      `UPDATE lobby_invitations SET status = 'declined', responded_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND invitee_id = $2 AND status = 'pending'
+       RETURNING lobby_id, inviter_id`,
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`user_${result.rows[0].inviter_id}`).emit('lobby_invitation_declined', {
+        invitationId: req.params.id,
+        lobbyId: result.rows[0].lobby_id,
+        userId: req.user.id
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation declined'
+    });
+  } catch (error) {
+    logger.error('Decline lobby invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to decline invitation'
+    });
+  }
+});
+
 // Get lobby by ID
-router.get('/:id', uuidValidation, async (req, res) => {
+router.get('/:id', optionalAuth, uuidValidation, async (req, res) => {
   try {
     const result = await query(
       `SELECT l.*, u.name as creator_name, u.avatar_url as creator_avatar,
-              u.rating as creator_rating, u.phone as creator_phone
+              u.rating as creator_rating, u.phone as creator_phone,
+              l.available_seats - l.seats_taken as remaining_seats
        FROM lobbies l
        JOIN users u ON l.creator_id = u.id
        WHERE l.id = $1`,
@@ -212,6 +483,27 @@ router.get('/:id', uuidValidation, async (req, res) => {
     );
 
     lobby.members = membersResult.rows;
+    lobby.badges = getBadges(lobby.preferences);
+    lobby.status_history = await lobbyStateMachine.getHistory(lobby.id);
+
+    // Plate, color and photos (which show the plate) help members find the car
+    // at pickup; hidden from everyone else
+    if (lobby.vehicle_id) {
+      const vehicleResult = await query(
+        'SELECT id, make, model, color, plate_number, seat_capacity, photos FROM vehicles WHERE id = $1',
+        [lobby.vehicle_id]
+      );
+      const vehicle = vehicleResult.rows[0] || null;
+      const isMember = req.user && lobby.members.some(member => member.user_id === req.user.id);
+
+      if (vehicle && !isMember) {
+        delete vehicle.color;
+        delete vehicle.plate_number;
+        delete vehicle.photos;
+      }
+
+      lobby.vehicle = vehicle;
+    }
 
     res.json({
       success: true,
@@ -227,15 +519,15 @@ router.get('/:id', uuidValidation, async (req, res) => {
 });
 
 // Join lobby
-router.post('/:id/join', authenticateToken, uuidValidation, async (req, res) => {
+router.post('/:id/join', authenticateToken, requirePermission('lobbies:join'), requireVerifiedPhone, joinLobbyValidation, async (req, res) => {
   try {
-    const { pickupLocation } = req.body;
+    const { pickupLocation, seats = 1 } = req.body;
     const lobbyId = req.params.id;
 
-    // Check if lobby exists and is active
+    // Check if lobby exists and is still open (a full lobby is rejected when booking)
     const lobbyResult = await query(
-      'SELECT * FROM lobbies WHERE id = $1 AND status = $2',
-      [lobbyId, 'active']
+      `SELECT * FROM lobbies WHERE id = $1 AND status IN ('active', 'full')`,
+      [lobbyId]
     );
 
     if (lobbyResult.rows.length === 0) {
@@ -247,12 +539,38 @@ router.post('/:id/join', authenticateToken, uuidValidation, async (req, res) =>
 
     const lobby = lobbyResult.rows[0];
 
+    if (await blockService.isBlockedInLobby(lobbyId, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot join this lobby'
+      });
+    }
+
+    // Lobby preferences such as women-only are hard requirements
+    const joinerResult = await query('SELECT gender, ride_preferences FROM users WHERE id = $1', [req.user.id]);
+    const ineligibleReason = checkEligibility(lobby.preferences, joinerResult.rows[0]);
+
+    if (ineligibleReason) {
+      return res.status(403).json({
+        success: false,
+        message: ineligibleReason,
+        data: { badges: getBadges(lobby.preferences) }
+      });
+    }
+
     // Check if user is already a member
     const existingMember = await query(
       'SELECT * FROM lobby_members WHERE lobby_id = $1 AND user_id = $2',
       [lobbyId, req.user.id]
     );
 
+    if (existingMember.rows.length > 0 && existingMember.rows[0].status === 'removed') {
+      return res.status(403).json({
+        success: false,
+        message: 'You were removed from this lobby'
+      });
+    }
+
     if (existingMember.rows.length > 0) {
       return res.status(400).json({
         success: false,
@@ -260,30 +578,49 @@ router.post('/:id/join', authenticateToken, uuidValidation, async (req, res) =>
       });
     }
 
-    // Check if lobby has available seats
-    const memberCount = await query(
-      'SELECT COUNT(*) FROM lobby_members WHERE lobby_id = $1 AND status = $2',
-      [lobbyId, 'active']
-    );
+    // Approval lobbies queue a request for the creator instead of booking seats
+    if (lobby.join_policy === 'approval' && lobby.creator_id !== req.user.id) {
+      const request = await joinRequestService.create(
+        lobby,
+        req.user,
+        seats,
+        pickupLocation || lobby.from_location,
+        req.app.get('io')
+      );
 
-    if (parseInt(memberCount.rows[0].count) >= lobby.available_seats) {
-      return res.status(400).json({
+      if (!request.success) {
+        return res.status(request.status).json({
+          success: false,
+          message: request.message
+        });
+      }
+
+      return res.status(202).json({
+        success: true,
+        message: 'Join request sent to the lobby creator',
+        data: { request: request.request }
+      });
+    }
+
+    // Seats are taken under the lobby's row lock; a full lobby rejects the booking
+    const booking = await lobbyService.bookSeats(lobbyId, req.user.id, seats, pickupLocation || lobby.from_location);
+
+    if (!booking.success) {
+      return res.status(booking.status).json({
         success: false,
-        message: 'Lobby is full'
+        message: booking.message
       });
     }
 
-    // Add user to lobby
-    await query(
-      'INSERT INTO lobby_members (lobby_id, user_id, pickup_location) VALUES ($1, $2, $3)',
-      [lobbyId, req.user.id, pickupLocation || lobby.from_location]
-    );
+    // Taking the last seat marks the lobby full
+    await lobbyStateMachine.syncSeats(lobbyId, { io: req.app.get('io') });
 
-    logger.info(`User ${req.user.id} joined lobby ${lobbyId}`);
+    logger.info(`User ${req.user.id} joined lobby ${lobbyId} with ${seats} seat(s)`);
 
     res.json({
       success: true,
-      message: 'Successfully joined lobby'
+      message: 'Successfully joined lobby',
+      data: { seats, remainingSeats: booking.remainingSeats }
     });
   } catch (error) {
     logger.error('Join lobby error:', error);
@@ -299,25 +636,14 @@ router.post('/:id/leave', authenticateToken, uuidValidation, async (req, res) =>
   try {
     const lobbyId = req.params.id;
 
-    // Check if user is a member
-    const memberResult = await query(
-      'SELECT * FROM lobby_members WHERE lobby_id = $1 AND user_id = $2 AND status = $3',
-      [lobbyId, req.user.id, 'active']
-    );
-
-    if (memberResult.rows.length === 0) {
+    // Remove user from lobby and free their seats
+    if (!(await lobbyService.releaseSeats(lobbyId, req.user.id))) {
       return res.status(400).json({
         success: false,
         message: 'You are not a member of this lobby'
       });
     }
 
-    // Remove user from lobby
-    await query(
-      'UPDATE lobby_members SET status = $1 WHERE lobby_id = $2 AND user_id = $3',
-      ['left', lobbyId, req.user.id]
-    );
-
     // Check if user was the creator
     const lobbyResult = await query(
       'SELECT creator_id FROM lobbies WHERE id = $1',
@@ -326,10 +652,13 @@ router.post('/:id/leave', authenticateToken, uuidValidation, async (req, res) =>
 
     if (lobbyResult.rows[0].creator_id === req.user.id) {
       // If creator left, close the lobby
-      await query(
-        'UPDATE lobbies SET status = $1 WHERE id = $2',
-        ['cancelled', lobbyId]
-      );
+      await lobbyStateMachine.transition(lobbyId, 'cancelled', {
+        actorId: req.user.id,
+        reason: 'Creator left the lobby',
+        io: req.app.get('io')
+      });
+    } else {
+      await lobbyStateMachine.syncSeats(lobbyId, { io: req.app.get('io') });
     }
 
     logger.info(`User ${req.user.id} left lobby ${lobbyId}`);
@@ -347,25 +676,86 @@ router.post('/:id/leave', authenticateToken, uuidValidation, async (req, res) =>
   }
 });
 
-// Update lobby status
-router.put('/:id/status', authenticateToken, uuidValidation, async (req, res) => {
+// Pending join requests of an approval lobby
+router.get('/:id/join-requests', authenticateToken, uuidValidation, async (req, res) => {
   try {
-    const { status } = req.body;
-    const lobbyId = req.params.id;
+    const access = await joinRequestService.canReview(req.user, req.params.id);
 
-    if (!['active', 'started', 'completed', 'cancelled'].includes(status)) {
-      return res.status(400).json({
+    if (!access.success) {
+      return res.status(access.status).json({
         success: false,
-        message: 'Invalid status'
+        message: access.message
       });
     }
 
-    // Check if user is the creator
-    const lobbyResult = await query(
-      'SELECT creator_id FROM lobbies WHERE id = $1',
-      [lobbyId]
+    const requests = await joinRequestService.listPending(req.params.id);
+
+    res.json({
+      success: true,
+      data: { requests }
+    });
+  } catch (error) {
+    logger.error('Get join requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get join requests'
+    });
+  }
+});
+
+// Approve or decline a join request
+const respondToJoinRequest = (approve) => async (req, res) => {
+  try {
+    const result = await joinRequestService.respond(
+      req.user,
+      req.params.id,
+      req.params.requestId,
+      approve,
+      req.app.get('io')
     );
 
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: approve ? 'Join request approved' : 'Join request declined'
+    });
+  } catch (error) {
+    logger.error('Respond to join request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to respond to join request'
+    });
+  }
+};
+
+router.post('/:id/join-requests/:requestId/approve',
+  authenticateToken,
+  uuidValidation,
+  uuidParamValidation('requestId'),
+  respondToJoinRequest(true)
+);
+
+router.post('/:id/join-requests/:requestId/decline',
+  authenticateToken,
+  uuidValidation,
+  uuidParamValidation('requestId'),
+  respondToJoinRequest(false)
+);
+
+// Remove a member; they lose access to the lobby and its chat right away
+router.post('/:id/members/:userId/remove', authenticateToken, removeMemberValidation, async (req, res) => {
+  try {
+    const { id: lobbyId, userId } = req.params;
+    const { reason } = req.body;
+
+    const lobbyResult = await query('SELECT creator_id, status FROM lobbies WHERE id = $1', [lobbyId]);
+
     if (lobbyResult.rows.length === 0) {
       return res.status(404).json({
         success: false,
@@ -373,24 +763,93 @@ router.put('/:id/status', authenticateToken, uuidValidation, async (req, res) =>
       });
     }
 
-    if (lobbyResult.rows[0].creator_id !== req.user.id) {
+    const lobby = lobbyResult.rows[0];
+
+    if (lobby.creator_id !== req.user.id && !hasPermission(req.user.role, 'lobbies:manage')) {
       return res.status(403).json({
         success: false,
-        message: 'Only lobby creator can update status'
+        message: 'Only lobby creator can remove members'
       });
     }
 
-    // Update lobby status
-    await query(
-      'UPDATE lobbies SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-      [status, lobbyId]
-    );
+    if (userId === lobby.creator_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'The lobby creator cannot be removed'
+      });
+    }
+
+    if (!['active', 'full', 'started'].includes(lobby.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Members can only be removed from open or ongoing lobbies'
+      });
+    }
+
+    if (!(await lobbyService.releaseSeats(lobbyId, userId, { removalReason: reason }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    const io = req.app.get('io');
+    await lobbyStateMachine.syncSeats(lobbyId, { io });
+
+    if (io) {
+      // Drop the removed user's sockets from the lobby room before telling the others
+      io.in(`user_${userId}`).socketsLeave(`lobby_${lobbyId}`);
+
+      io.to(`user_${userId}`).emit('lobby_member_removed', {
+        lobbyId,
+        reason,
+        timestamp: new Date()
+      });
+
+      io.to(`lobby_${lobbyId}`).emit('member_removed', {
+        lobbyId,
+        userId,
+        timestamp: new Date()
+      });
+    }
 
-    logger.info(`Lobby ${lobbyId} status updated to ${status} by user ${req.user.id}`);
+    logger.info(`User ${userId} removed from lobby ${lobbyId} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Member removed from lobby'
+    });
+  } catch (error) {
+    logger.error('Remove lobby member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove member'
+    });
+  }
+});
+
+// Update lobby status
+router.put('/:id/status', authenticateToken, uuidValidation, async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    const lobbyId = req.params.id;
+
+    const result = await lobbyStateMachine.request(req.user, lobbyId, status, {
+      reason,
+      io: req.app.get('io')
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Lobby status updated successfully'
+      message: 'Lobby status updated successfully',
+      data: { status: result.to, previousStatus: result.from }
     });
   } catch (error) {
     logger.error('Update lobby status error:', error);
@@ -405,7 +864,7 @@ router.put('/:id/status', authenticateToken, uuidValidation, async (req, res) =>
 router.get('/user/my-lobbies', authenticateToken, async (req, res) => {
   try {
     const result = await query(
-      `SELECT l.*, 
+      `SELECT l.*, l.available_seats - l.seats_taken as remaining_seats,
               (SELECT COUNT(*) FROM lobby_members lm WHERE lm.lobby_id = l.id AND lm.status = 'active') as member_count
        FROM lobbies l
        WHERE l.creator_id = $1
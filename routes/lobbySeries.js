@@ -0,0 +1,373 @@
+const express = require('express');
+const { query } = require('../config/database');
+const { authenticateToken, requireVerifiedPhone, requirePermission } = require('../middleware/auth');
+const { checkEligibility } = require('../config/preferences');
+const {
+  lobbySeriesValidation,
+  lobbyOccurrenceValidation,
+  uuidValidation
+} = require('../middleware/validation');
+const lobbySeriesService = require('../services/lobbySeriesService');
+const placeService = require('../services/placeService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Load the series named by :id into req.series; with creatorOnly, only its creator passes
+const loadSeries = ({ creatorOnly = false } = {}) => async (req, res, next) => {
+  try {
+    const series = await lobbySeriesService.getSeries(req.params.id);
+
+    if (!series || (creatorOnly && series.creator_id !== req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lobby series not found'
+      });
+    }
+
+    req.series = series;
+    next();
+  } catch (error) {
+    logger.error('Load lobby series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get lobby series'
+    });
+  }
+};
+
+// Create a recurring lobby series
+router.post('/', requirePermission('lobbies:create'), requireVerifiedPhone, lobbySeriesValidation, async (req, res) => {
+  try {
+    const { fromPlaceId, toPlaceId } = req.body;
+
+    // Saved places already carry coordinates; free-text locations are geocoded
+    const from = await placeService.resolveLobbyEndpoint(req.user.id, fromPlaceId, req.body.fromLocation);
+    const to = await placeService.resolveLobbyEndpoint(req.user.id, toPlaceId, req.body.toLocation);
+
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        message: fromPlaceId || toPlaceId
+          ? 'Saved place not found or location could not be resolved'
+          : 'Could not find coordinates for the provided locations'
+      });
+    }
+
+    const result = await lobbySeriesService.createSeries(req.user, {
+      ...req.body,
+      from,
+      to,
+      providesVehicle: req.body.providesVehicle !== false
+    }, req.app.get('io'));
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Lobby series created successfully',
+      data: { series: result.series, lobbyIds: result.lobbyIds }
+    });
+  } catch (error) {
+    logger.error('Create lobby series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create lobby series'
+    });
+  }
+});
+
+// Series the current user runs or rides in regularly
+router.get('/', async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT ${lobbySeriesService.fields}, (s.creator_id = $1) as is_creator
+       FROM lobby_series s
+       WHERE s.creator_id = $1
+          OR EXISTS (SELECT 1 FROM lobby_series_members sm WHERE sm.series_id = s.id AND sm.user_id = $1)
+       ORDER BY s.created_at DESC`,
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: { series: result.rows }
+    });
+  } catch (error) {
+    logger.error('Get lobby series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get lobby series'
+    });
+  }
+});
+
+// Series details with regular members, upcoming lobbies and per-date changes
+router.get('/:id', uuidValidation, loadSeries(), async (req, res) => {
+  try {
+    const { series } = req;
+
+    const [members, lobbies, exceptions] = await Promise.all([
+      query(
+        `SELECT u.id, u.name, u.avatar_url, u.rating, sm.created_at as joined_at
+         FROM lobby_series_members sm
+         JOIN users u ON sm.user_id = u.id
+         WHERE sm.series_id = $1
+         ORDER BY sm.created_at ASC`,
+        [series.id]
+      ),
+      query(
+        `SELECT l.id, to_char(l.occurrence_date, 'YYYY-MM-DD') as occurrence_date, l.departure_time,
+                l.available_seats, l.available_seats - l.seats_taken as remaining_seats, l.price_per_seat, l.status,
+                (SELECT COUNT(*) FROM lobby_members lm WHERE lm.lobby_id = l.id AND lm.status = 'active') as member_count
+         FROM lobbies l
+         WHERE l.series_id = $1 AND l.occurrence_date >= CURRENT_DATE
+         ORDER BY l.occurrence_date ASC`,
+        [series.id]
+      ),
+      query(
+        `SELECT to_char(occurrence_date, 'YYYY-MM-DD') as occurrence_date, action, overrides
+         FROM lobby_series_exceptions
+         WHERE series_id = $1 AND occurrence_date >= CURRENT_DATE
+         ORDER BY occurrence_date ASC`,
+        [series.id]
+      )
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        series: {
+          ...series,
+          members: members.rows,
+          upcomingLobbies: lobbies.rows,
+          exceptions: exceptions.rows
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get lobby series details error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get lobby series'
+    });
+  }
+});
+
+// Stop generating new occurrences; lobbies already generated are kept
+router.delete('/:id', uuidValidation, loadSeries({ creatorOnly: true }), async (req, res) => {
+  try {
+    await query(
+      'UPDATE lobby_series SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [req.series.id]
+    );
+
+    logger.info(`Lobby series ${req.series.id} ended by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Lobby series ended'
+    });
+  } catch (error) {
+    logger.error('End lobby series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to end lobby series'
+    });
+  }
+});
+
+// Become a regular member, auto-joined to every occurrence
+router.post('/:id/join', requirePermission('lobbies:join'), requireVerifiedPhone, uuidValidation, loadSeries(), async (req, res) => {
+  try {
+    const { series } = req;
+
+    if (!series.is_active || series.creator_id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot join this lobby series'
+      });
+    }
+
+    const blocked = await query(
+      `SELECT 1 FROM user_blocks
+       WHERE (blocker_id = $1 AND blocked_id = $2) OR (blocker_id = $2 AND blocked_id = $1)`,
+      [series.creator_id, req.user.id]
+    );
+
+    if (blocked.rows.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot join this lobby series'
+      });
+    }
+
+    // Lobby preferences such as women-only are hard requirements
+    const joinerResult = await query('SELECT gender, ride_preferences FROM users WHERE id = $1', [req.user.id]);
+    const ineligibleReason = checkEligibility(series.preferences, joinerResult.rows[0]);
+
+    if (ineligibleReason) {
+      return res.status(403).json({
+        success: false,
+        message: ineligibleReason
+      });
+    }
+
+    // Regulars take one seat each; the creator does not take a seat
+    const regulars = await query(
+      'SELECT COUNT(*) FROM lobby_series_members WHERE series_id = $1 AND user_id <> $2',
+      [series.id, req.user.id]
+    );
+
+    if (parseInt(regulars.rows[0].count) >= series.available_seats) {
+      return res.status(400).json({
+        success: false,
+        message: 'Lobby series is full'
+      });
+    }
+
+    const lobbyIds = await lobbySeriesService.joinSeries(
+      series.id,
+      req.user.id,
+      req.body.pickupLocation,
+      req.app.get('io')
+    );
+
+    logger.info(`User ${req.user.id} joined lobby series ${series.id}`);
+
+    res.json({
+      success: true,
+      message: 'Joined lobby series',
+      data: { lobbyIds }
+    });
+  } catch (error) {
+    logger.error('Join lobby series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to join lobby series'
+    });
+  }
+});
+
+// Stop being a regular; lobbies already joined are left as they are
+router.post('/:id/leave', uuidValidation, async (req, res) => {
+  try {
+    const result = await query(
+      'DELETE FROM lobby_series_members WHERE series_id = $1 AND user_id = $2 RETURNING series_id',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not a member of this lobby series'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Left lobby series'
+    });
+  } catch (error) {
+    logger.error('Leave lobby series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to leave lobby series'
+    });
+  }
+});
+
+// Edit a single occurrence
+router.put('/:id/occurrences/:date',
+  uuidValidation,
+  lobbyOccurrenceValidation,
+  loadSeries({ creatorOnly: true }),
+  async (req, res) => {
+    try {
+      const { date } = req.params;
+
+      if (!(await lobbySeriesService.isOccurrenceDate(req.series, date))) {
+        return res.status(400).json({
+          success: false,
+          message: 'The series has no upcoming occurrence on this date'
+        });
+      }
+
+      const overrides = {};
+      ['departureTime', 'availableSeats', 'pricePerSeat', 'description'].forEach(field => {
+        if (req.body[field] !== undefined) {
+          overrides[field] = req.body[field];
+        }
+      });
+
+      if (Object.keys(overrides).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No changes provided'
+        });
+      }
+
+      const result = await lobbySeriesService.modifyOccurrence(req.user, req.series, date, overrides, req.app.get('io'));
+
+      if (!result.success) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Occurrence updated',
+        data: { lobby: result.lobby }
+      });
+    } catch (error) {
+      logger.error('Update lobby occurrence error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update occurrence'
+      });
+    }
+  }
+);
+
+// Skip a single occurrence
+router.delete('/:id/occurrences/:date',
+  uuidValidation,
+  lobbyOccurrenceValidation,
+  loadSeries({ creatorOnly: true }),
+  async (req, res) => {
+    try {
+      const { date } = req.params;
+
+      if (!(await lobbySeriesService.isOccurrenceDate(req.series, date))) {
+        return res.status(400).json({
+          success: false,
+          message: 'The series has no upcoming occurrence on this date'
+        });
+      }
+
+      await lobbySeriesService.skipOccurrence(req.series, date, req.app.get('io'));
+
+      res.json({
+        success: true,
+        message: 'Occurrence skipped'
+      });
+    } catch (error) {
+      logger.error('Skip lobby occurrence error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to skip occurrence'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,182 @@
+const express = require('express');
+const { query } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { savedPlaceValidation, uuidValidation } = require('../middleware/validation');
+const placeService = require('../services/placeService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const MAX_PLACES = parseInt(process.env.SAVED_PLACES_MAX) || 20;
+
+router.use(authenticateToken);
+
+// Home and work are unique per user, so saving one again is a conflict
+const sendDuplicateType = (res, type) => res.status(400).json({
+  success: false,
+  message: `You already saved a ${type} place; update it instead`
+});
+
+// List saved places
+router.get('/', async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT ${placeService.fields} FROM saved_places
+       WHERE user_id = $1
+       ORDER BY CASE type WHEN 'home' THEN 0 WHEN 'work' THEN 1 ELSE 2 END, label`,
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: { places: result.rows }
+    });
+  } catch (error) {
+    logger.error('Get saved places error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get saved places'
+    });
+  }
+});
+
+// Save a place
+router.post('/', savedPlaceValidation(), async (req, res) => {
+  try {
+    const { label, type = 'favorite' } = req.body;
+
+    const countResult = await query(
+      'SELECT COUNT(*) FROM saved_places WHERE user_id = $1',
+      [req.user.id]
+    );
+
+    if (parseInt(countResult.rows[0].count) >= MAX_PLACES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save at most ${MAX_PLACES} places`
+      });
+    }
+
+    const location = await placeService.resolveLocation(req.body);
+
+    if (!location) {
+      return res.status(400).json({
+        success: false,
+        message: 'Could not find this location'
+      });
+    }
+
+    const result = await query(
+      `INSERT INTO saved_places (user_id, label, type, address, coordinates)
+       VALUES ($1, $2, $3, $4, POINT($5, $6))
+       RETURNING ${placeService.fields}`,
+      [req.user.id, label, type, location.address, location.longitude, location.latitude]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Place saved',
+      data: { place: result.rows[0] }
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return sendDuplicateType(res, req.body.type);
+    }
+
+    logger.error('Save place error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save place'
+    });
+  }
+});
+
+// Update a saved place; a new address or new coordinates are resolved again
+router.put('/:id', uuidValidation, savedPlaceValidation(true), async (req, res) => {
+  try {
+    const place = await placeService.getPlace(req.user.id, req.params.id);
+
+    if (!place) {
+      return res.status(404).json({
+        success: false,
+        message: 'Place not found'
+      });
+    }
+
+    const { label, type, address, latitude, longitude } = req.body;
+    let location = { address: place.address, longitude: place.longitude, latitude: place.latitude };
+
+    if (address !== undefined || (latitude !== undefined && longitude !== undefined)) {
+      location = await placeService.resolveLocation({ address, latitude, longitude });
+
+      if (!location) {
+        return res.status(400).json({
+          success: false,
+          message: 'Could not find this location'
+        });
+      }
+    }
+
+    const result = await query(
+      `UPDATE saved_places
+       SET label = $1, type = $2, address = $3, coordinates = POINT($4, $5), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6 AND user_id = $7
+       RETURNING ${placeService.fields}`,
+      [
+        label || place.label,
+        type || place.type,
+        location.address,
+        location.longitude,
+        location.latitude,
+        req.params.id,
+        req.user.id
+      ]
+    );
+
+    res.json({
+      success: true,
+      message: 'Place updated',
+      data: { place: result.rows[0] }
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return sendDuplicateType(res, req.body.type);
+    }
+
+    logger.error('Update place error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update place'
+    });
+  }
+});
+
+// Delete a saved place
+router.delete('/:id', uuidValidation, async (req, res) => {
+  try {
+    const result = await query(
+      'DELETE FROM saved_places WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Place not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Place deleted'
+    });
+  } catch (error) {
+    logger.error('Delete place error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete place'
+    });
+  }
+});
+
+module.exports = router;
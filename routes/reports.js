@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const path = require('path');
+const express = require('express');
+const { query } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { reportValidation } = require('../middleware/validation');
+const { createUpload, handleUpload, verifyFileContents } = require('../middleware/upload');
+const blockService = require('../services/blockService');
+const { privateStorage } = require('../services/storage');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Kept in memory; evidence is only stored once the report passes its checks
+const upload = createUpload({
+  prefix: 'evidence',
+  allowedTypes: ['image/jpeg', 'image/png', 'image/webp', 'application/pdf']
+});
+
+// Check the optional references; returns an error message or the message snapshot
+const checkReferences = async (reporterId, { reportedUserId, lobbyId, rideId, messageId }) => {
+  if (lobbyId) {
+    const lobby = await query('SELECT id FROM lobbies WHERE id = $1', [lobbyId]);
+    if (lobby.rows.length === 0) {
+      return { error: 'Lobby not found' };
+    }
+  }
+
+  if (rideId) {
+    const ride = await query('SELECT id FROM rides WHERE id = $1', [rideId]);
+    if (ride.rows.length === 0) {
+      return { error: 'Ride not found' };
+    }
+  }
+
+  if (!messageId) {
+    return { snapshot: null };
+  }
+
+  // The message must come from the reported user in a lobby the reporter belongs to
+  const message = await query(
+    `SELECT cm.message FROM chat_messages cm
+     JOIN lobby_members lm ON lm.lobby_id = cm.lobby_id AND lm.user_id = $3
+     WHERE cm.id = $1 AND cm.user_id = $2`,
+    [messageId, reportedUserId, reporterId]
+  );
+
+  if (message.rows.length === 0) {
+    return { error: 'Message not found' };
+  }
+
+  return { snapshot: message.rows[0].message };
+};
+
+// Evidence is only visible to moderators, so it is kept in private storage
+const storeEvidence = async (file) => {
+  const key = `report-evidence/${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`;
+  await privateStorage.put(key, file.buffer, file.mimetype);
+  return key;
+};
+
+// Report a user, optionally attaching evidence files
+router.post('/',
+  authenticateToken,
+  handleUpload(upload.array('evidence', parseInt(process.env.REPORT_MAX_EVIDENCE) || 3)),
+  verifyFileContents,
+  reportValidation,
+  async (req, res) => {
+    const storedKeys = [];
+
+    try {
+      const { reportedUserId, category, description, lobbyId, rideId, messageId, block } = req.body;
+
+      if (reportedUserId === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot report yourself'
+        });
+      }
+
+      const userResult = await query('SELECT id FROM users WHERE id = $1', [reportedUserId]);
+
+      if (userResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const references = await checkReferences(req.user.id, req.body);
+
+      if (references.error) {
+        return res.status(400).json({
+          success: false,
+          message: references.error
+        });
+      }
+
+      const files = req.files || [];
+      for (const file of files) {
+        storedKeys.push(await storeEvidence(file));
+      }
+
+      const evidence = files.map((file, index) => ({
+        key: storedKeys[index],
+        originalName: file.originalname,
+        mimeType: file.mimetype
+      }));
+
+      const result = await query(
+        `INSERT INTO user_reports (reporter_id, reported_user_id, category, description,
+                                   lobby_id, ride_id, message_id, message_snapshot, evidence)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING id, reported_user_id, category, status, created_at`,
+        [
+          req.user.id,
+          reportedUserId,
+          category,
+          description || null,
+          lobbyId || null,
+          rideId || null,
+          messageId || null,
+          references.snapshot,
+          JSON.stringify(evidence)
+        ]
+      );
+
+      if (block) {
+        await blockService.block(req.user.id, reportedUserId);
+      }
+
+      logger.info(`Report ${result.rows[0].id} filed by user ${req.user.id} against ${reportedUserId} (${category})`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Report submitted. Our team will review it.',
+        data: { report: result.rows[0] }
+      });
+    } catch (error) {
+      logger.error('Create report error:', error);
+      await Promise.all(storedKeys.map(key => privateStorage.delete(key).catch(() => {})));
+      res.status(500).json({
+        success: false,
+        message: 'Failed to submit report'
+      });
+    }
+  }
+);
+
+// Reports filed by the current user
+router.get('/mine', authenticateToken, async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT id, reported_user_id, category, status, created_at, reviewed_at
+       FROM user_reports
+       WHERE reporter_id = $1
+       ORDER BY created_at DESC`,
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: { reports: result.rows }
+    });
+  } catch (error) {
+    logger.error('Get my reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get reports'
+    });
+  }
+});
+
+module.exports = router;
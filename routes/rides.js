@@ -1,24 +1,42 @@
 const express = require('express');
-const { query } = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
-const { uuidValidation } = require('../middleware/validation');
+const { pool, query } = require('../config/database');
+const { authenticateToken, requirePermission, requireVerifiedPhone } = require('../middleware/auth');
+const { hasPermission } = require('../config/roles');
+const {
+  uuidValidation,
+  uuidParamValidation,
+  sosValidation,
+  rideAgainValidation,
+  favoriteRiderValidation
+} = require('../middleware/validation');
+const safetyService = require('../services/safetyService');
+const referralService = require('../services/referralService');
+const favoriteService = require('../services/favoriteService');
+const lobbyService = require('../services/lobbyService');
+const lobbyStateMachine = require('../services/lobbyStateMachine');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+const SOS_ERRORS = {
+  not_member: { status: 404, message: 'Lobby not found or you are not a member' },
+  not_started: { status: 400, message: 'SOS is only available while the ride is in progress' }
+};
+
 // Complete a ride (convert lobby to completed ride)
-router.post('/complete/:lobbyId', authenticateToken, uuidValidation, async (req, res) => {
+router.post('/complete/:lobbyId', authenticateToken, uuidParamValidation('lobbyId'), async (req, res) => {
   try {
     const { lobbyId } = req.params;
     const { totalAmount, distanceKm, durationMinutes } = req.body;
 
-    // Check if user is the creator of the lobby
+    // Check if user is the creator of the lobby (admins may complete any ride)
     const lobbyResult = await query(
-      'SELECT * FROM lobbies WHERE id = $1 AND creator_id = $2 AND status = $3',
-      [lobbyId, req.user.id, 'started']
+      'SELECT * FROM lobbies WHERE id = $1 AND status = $2',
+      [lobbyId, 'started']
     );
 
-    if (lobbyResult.rows.length === 0) {
+    if (lobbyResult.rows.length === 0 ||
+        (lobbyResult.rows[0].creator_id !== req.user.id && !hasPermission(req.user.role, 'rides:manage'))) {
       return res.status(404).json({
         success: false,
         message: 'Lobby not found or you are not authorized to complete it'
@@ -41,14 +59,33 @@ router.post('/complete/:lobbyId', authenticateToken, uuidValidation, async (req,
     }
 
     const members = membersResult.rows;
-    const amountPerPerson = totalAmount / members.length;
+
+    // The fare is split by booked seats; the creator books none and pays nothing
+    const seatsBooked = members
+      .filter(member => member.user_id !== lobby.creator_id)
+      .reduce((total, member) => total + member.seats, 0);
+    const amountPerSeat = seatsBooked > 0 ? totalAmount / seatsBooked : 0;
 
     // Start transaction
-    const client = await query.pool.connect();
+    const client = await pool.connect();
     
     try {
       await client.query('BEGIN');
 
+      // The lobby must still be started when its row is locked
+      const completion = await lobbyStateMachine.transition(lobbyId, 'completed', {
+        actorId: req.user.id,
+        client
+      });
+
+      if (!completion.success) {
+        await client.query('ROLLBACK');
+        return res.status(completion.status).json({
+          success: false,
+          message: completion.message
+        });
+      }
+
       // Create ride record
       const rideResult = await client.query(
         `INSERT INTO rides (lobby_id, driver_id, from_location, to_location, 
@@ -58,7 +95,7 @@ router.post('/complete/:lobbyId', authenticateToken, uuidValidation, async (req,
          RETURNING *`,
         [
           lobbyId,
-          req.user.id,
+          lobby.creator_id,
           lobby.from_location,
           lobby.to_location,
           lobby.departure_time,
@@ -79,7 +116,7 @@ router.post('/complete/:lobbyId', authenticateToken, uuidValidation, async (req,
           [
             ride.id,
             member.user_id,
-            amountPerPerson,
+            member.user_id === lobby.creator_id ? 0 : member.seats * amountPerSeat,
             member.pickup_location,
             lobby.to_location
           ]
@@ -92,14 +129,15 @@ router.post('/complete/:lobbyId', authenticateToken, uuidValidation, async (req,
         );
       }
 
-      // Update lobby status
-      await client.query(
-        'UPDATE lobbies SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-        ['completed', lobbyId]
-      );
+      // First completed ride unlocks referral rewards for the riders and the driver
+      const riderIds = [...new Set([lobby.creator_id, ...members.map(member => member.user_id)])];
+      const referralRewards = await referralService.rewardFirstRide(client, riderIds, ride.id);
 
       await client.query('COMMIT');
 
+      lobbyStateMachine.notify(req.app.get('io'), completion);
+      referralService.notifyRewards(req.app.get('io'), referralRewards);
+
       logger.info(`Ride completed: ${ride.id} from lobby ${lobbyId}`);
 
       res.json({
@@ -160,14 +198,17 @@ router.get('/:id', authenticateToken, uuidValidation, async (req, res) => {
       });
     }
 
-    // Get all participants
+    // Get all participants, flagging the viewer's favorites
     const participantsResult = await query(
-      `SELECT rp.*, u.name, u.avatar_url, u.rating
+      `SELECT rp.*, u.name, u.avatar_url, u.rating,
+              EXISTS (
+                SELECT 1 FROM favorite_riders f WHERE f.user_id = $2 AND f.favorite_user_id = rp.user_id
+              ) as is_favorite
        FROM ride_participants rp
        JOIN users u ON rp.user_id = u.id
        WHERE rp.ride_id = $1
        ORDER BY rp.created_at ASC`,
-      [id]
+      [id, req.user.id]
     );
 
     ride.participants = participantsResult.rows;
@@ -185,6 +226,145 @@ router.get('/:id', authenticateToken, uuidValidation, async (req, res) => {
   }
 });
 
+// Mark a co-rider from this ride as a favorite
+router.post('/:id/favorites',
+  authenticateToken,
+  uuidValidation,
+  favoriteRiderValidation,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { userId } = req.body;
+
+      if (userId === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot favorite yourself'
+        });
+      }
+
+      const [viewerOnRide, favoriteOnRide] = await Promise.all([
+        favoriteService.wasOnRide(id, req.user.id),
+        favoriteService.wasOnRide(id, userId)
+      ]);
+
+      if (!viewerOnRide || !favoriteOnRide) {
+        return res.status(404).json({
+          success: false,
+          message: 'Ride not found or that user was not on it'
+        });
+      }
+
+      await favoriteService.add(req.user.id, userId, id);
+
+      logger.info(`User ${req.user.id} added favorite ${userId} from ride ${id}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Added to favorites'
+      });
+    } catch (error) {
+      logger.error('Add favorite error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to add favorite'
+      });
+    }
+  }
+);
+
+// Ride again: create a new lobby on the same route and invite chosen favorites
+router.post('/:id/ride-again',
+  authenticateToken,
+  requirePermission('lobbies:create'),
+  requireVerifiedPhone,
+  uuidValidation,
+  rideAgainValidation,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const {
+        departureTime,
+        inviteUserIds = [],
+        vehicleType,
+        availableSeats,
+        pricePerSeat,
+        providesVehicle,
+        vehicleId,
+        description
+      } = req.body;
+
+      const rideResult = await query(
+        `SELECT r.driver_id, l.from_location, l.to_location, l.from_coordinates, l.to_coordinates,
+                l.vehicle_type, l.available_seats, l.price_per_seat, l.provides_vehicle,
+                l.vehicle_id, l.preferences
+         FROM rides r
+         JOIN lobbies l ON r.lobby_id = l.id
+         WHERE r.id = $1`,
+        [id]
+      );
+
+      if (rideResult.rows.length === 0 || !(await favoriteService.wasOnRide(id, req.user.id))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Ride not found or you were not on it'
+        });
+      }
+
+      const original = rideResult.rows[0];
+
+      // The previous driver keeps their vehicle by default; riders start a lobby without one
+      const wasDriver = original.driver_id === req.user.id;
+      const keepsVehicle = providesVehicle !== undefined ? providesVehicle : wasDriver && original.provides_vehicle;
+
+      const result = await lobbyService.createLobby(req.user, {
+        from: {
+          location: original.from_location,
+          coordinates: [original.from_coordinates.x, original.from_coordinates.y]
+        },
+        to: {
+          location: original.to_location,
+          coordinates: [original.to_coordinates.x, original.to_coordinates.y]
+        },
+        departureTime,
+        vehicleType: vehicleType || original.vehicle_type,
+        availableSeats: availableSeats || original.available_seats,
+        pricePerSeat: pricePerSeat !== undefined ? pricePerSeat : original.price_per_seat,
+        description,
+        providesVehicle: keepsVehicle,
+        vehicleId: vehicleId || (keepsVehicle && wasDriver ? original.vehicle_id : null),
+        preferences: original.preferences
+      });
+
+      if (!result.success) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      const invited = await lobbyService.inviteFavorites(
+        result.lobby,
+        req.user,
+        inviteUserIds.filter(userId => userId !== req.user.id),
+        req.app.get('io')
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Lobby created successfully',
+        data: { lobby: result.lobby, invited }
+      });
+    } catch (error) {
+      logger.error('Ride again error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create lobby'
+      });
+    }
+  }
+);
+
 // Rate a ride participant
 router.post('/:id/rate', authenticateToken, uuidValidation, async (req, res) => {
   try {
@@ -393,4 +573,75 @@ router.get('/user/stats', authenticateToken, async (req, res) => {
   }
 });
 
+// Raise an SOS during a started ride
+router.post('/sos', authenticateToken, sosValidation, async (req, res) => {
+  try {
+    const result = await safetyService.triggerSos(req.user, req.body, req.app.get('io'));
+
+    if (!result.success) {
+      const failure = SOS_ERRORS[result.reason];
+      return res.status(failure.status).json({
+        success: false,
+        message: failure.message
+      });
+    }
+
+    res.status(result.alreadyOpen ? 200 : 201).json({
+      success: true,
+      message: result.alreadyOpen ? 'An SOS is already open for this ride' : 'SOS sent',
+      data: { incident: result.incident }
+    });
+  } catch (error) {
+    logger.error('SOS error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send SOS'
+    });
+  }
+});
+
+// Resolve an SOS (the user who raised it or a safety responder)
+router.post('/sos/:id/resolve', authenticateToken, uuidValidation, async (req, res) => {
+  try {
+    const incidentResult = await query(
+      'SELECT user_id, status FROM sos_incidents WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (incidentResult.rows.length === 0 ||
+        (incidentResult.rows[0].user_id !== req.user.id && !hasPermission(req.user.role, 'safety:respond'))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found'
+      });
+    }
+
+    const incident = await safetyService.resolveIncident(
+      req.params.id,
+      req.user.id,
+      req.body.notes,
+      req.app.get('io')
+    );
+
+    if (!incident) {
+      return res.status(400).json({
+        success: false,
+        message: 'Incident is already resolved'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Incident resolved',
+      data: { incident }
+    });
+  } catch (error) {
+    logger.error('Resolve SOS error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve incident'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
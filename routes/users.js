@@ -1,45 +1,37 @@
 const express = require('express');
-const bcrypt = require('bcryptjs');
-const multer = require('multer');
 const path = require('path');
+const bcrypt = require('bcryptjs');
 const { query } = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireTwoFactorCode } = require('../middleware/auth');
 const { body } = require('express-validator');
-const { handleValidationErrors } = require('../middleware/validation');
+const {
+  handleValidationErrors,
+  ridePreferencesValidation,
+  uuidValidation,
+  uuidParamValidation
+} = require('../middleware/validation');
+const { normalizeUserPreferences } = require('../config/preferences');
+const { createUpload, handleUpload, verifyFileContents } = require('../middleware/upload');
+const sessionService = require('../services/sessionService');
+const dataExportService = require('../services/dataExportService');
+const accountDeletionService = require('../services/accountDeletionService');
+const imageService = require('../services/imageService');
+const referralService = require('../services/referralService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/avatars/');
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'avatar-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
-
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024 // 5MB
-  },
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed'));
-    }
-  }
+// Avatars are kept in memory, then resized and re-encoded before storage
+const upload = createUpload({
+  allowedTypes: ['image/jpeg', 'image/png', 'image/webp'],
+  maxFileSize: parseInt(process.env.AVATAR_MAX_SIZE) || 5 * 1024 * 1024 // 5MB
 });
 
 // Get user profile
 router.get('/profile', authenticateToken, async (req, res) => {
   try {
     const result = await query(
-      `SELECT id, name, email, phone, avatar_url, is_verified, total_rides, rating, 
+      `SELECT id, name, email, phone, avatar_url, avatar_key, is_verified, role, total_rides, rating, 
               member_since, last_active 
        FROM users WHERE id = $1`,
       [req.user.id]
@@ -63,7 +55,9 @@ router.get('/profile', authenticateToken, async (req, res) => {
           email: user.email,
           phone: user.phone,
           avatar: user.avatar_url,
+          avatarUrls: imageService.avatarUrls(user.avatar_key),
           isVerified: user.is_verified,
+          role: user.role,
           totalRides: user.total_rides,
           rating: parseFloat(user.rating),
           memberSince: user.member_since,
@@ -139,12 +133,25 @@ router.put('/profile',
         updates.phone = `phone = $${paramCount}`;
         values.push(phone);
         paramCount++;
+
+        // A new number has to be verified again
+        if (phone !== req.user.phone) {
+          updates.is_verified = 'is_verified = false';
+        }
       }
 
+      // An external avatar URL replaces any stored avatar
+      let previousAvatar = null;
       if (avatar) {
-        updates.avatar_url = `avatar_url = $${paramCount}`;
-        values.push(avatar);
-        paramCount++;
+        const previous = await query('SELECT avatar_url, avatar_key FROM users WHERE id = $1', [req.user.id]);
+
+        if (previous.rows[0].avatar_url !== avatar) {
+          updates.avatar_url = `avatar_url = $${paramCount}`;
+          updates.avatar_key = 'avatar_key = NULL';
+          values.push(avatar);
+          paramCount++;
+          previousAvatar = previous.rows[0];
+        }
       }
 
       if (Object.keys(updates).length === 0) {
@@ -161,12 +168,18 @@ router.put('/profile',
         UPDATE users 
         SET ${Object.values(updates).join(', ')}
         WHERE id = $${paramCount}
-        RETURNING id, name, email, phone, avatar_url, is_verified, total_rides, rating, member_since
+        RETURNING id, name, email, phone, avatar_url, is_verified, role, total_rides, rating, member_since
       `;
 
       const result = await query(updateQuery, values);
       const user = result.rows[0];
 
+      if (previousAvatar) {
+        await imageService.removeAvatar(previousAvatar).catch(error =>
+          logger.error(`Failed to remove previous avatar of user ${req.user.id}:`, error)
+        );
+      }
+
       logger.info(`Profile updated for user: ${user.email}`);
 
       res.json({
@@ -180,6 +193,7 @@ router.put('/profile',
             phone: user.phone,
             avatar: user.avatar_url,
             isVerified: user.is_verified,
+            role: user.role,
             totalRides: user.total_rides,
             rating: parseFloat(user.rating),
             memberSince: user.member_since
@@ -196,37 +210,142 @@ router.put('/profile',
   }
 );
 
-// Upload avatar
-router.post('/avatar', authenticateToken, upload.single('avatar'), async (req, res) => {
+// Get ride preferences
+router.get('/preferences', authenticateToken, async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        message: 'No file uploaded'
-      });
-    }
+    const result = await query(
+      'SELECT gender, ride_preferences FROM users WHERE id = $1',
+      [req.user.id]
+    );
 
-    const avatarUrl = `/uploads/avatars/${req.file.filename}`;
+    res.json({
+      success: true,
+      data: {
+        gender: result.rows[0].gender,
+        preferences: normalizeUserPreferences(result.rows[0].ride_preferences)
+      }
+    });
+  } catch (error) {
+    logger.error('Get preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get preferences'
+    });
+  }
+});
+
+// Update gender and ride preferences (merged into the stored ones)
+router.put('/preferences', authenticateToken, ridePreferencesValidation, async (req, res) => {
+  try {
+    const { gender, preferences } = req.body;
 
-    await query(
-      'UPDATE users SET avatar_url = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-      [avatarUrl, req.user.id]
+    const current = await query(
+      'SELECT gender, ride_preferences FROM users WHERE id = $1',
+      [req.user.id]
     );
 
-    logger.info(`Avatar uploaded for user: ${req.user.id}`);
+    const merged = normalizeUserPreferences({ ...current.rows[0].ride_preferences, ...preferences });
+
+    const result = await query(
+      `UPDATE users SET gender = $1, ride_preferences = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3
+       RETURNING gender, ride_preferences`,
+      [gender || current.rows[0].gender, JSON.stringify(merged), req.user.id]
+    );
 
     res.json({
       success: true,
-      message: 'Avatar uploaded successfully',
+      message: 'Preferences updated successfully',
       data: {
-        avatarUrl
+        gender: result.rows[0].gender,
+        preferences: result.rows[0].ride_preferences
+      }
+    });
+  } catch (error) {
+    logger.error('Update preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update preferences'
+    });
+  }
+});
+
+// Upload avatar: content-checked, resized into several sizes, previous one removed
+router.post('/avatar',
+  authenticateToken,
+  handleUpload(upload.single('avatar')),
+  verifyFileContents,
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'No file uploaded'
+        });
+      }
+
+      let avatarKey;
+      try {
+        avatarKey = await imageService.saveAvatar(req.user.id, req.file.buffer);
+      } catch (error) {
+        logger.warn(`Avatar processing failed for user ${req.user.id}: ${error.message}`);
+        return res.status(400).json({
+          success: false,
+          message: 'Could not process this image'
+        });
       }
+
+      const avatarUrls = imageService.avatarUrls(avatarKey);
+
+      const previous = await query(
+        'SELECT avatar_url, avatar_key FROM users WHERE id = $1',
+        [req.user.id]
+      );
+
+      await query(
+        'UPDATE users SET avatar_url = $1, avatar_key = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
+        [avatarUrls.medium, avatarKey, req.user.id]
+      );
+
+      // The old avatar is no longer referenced
+      await imageService.removeAvatar(previous.rows[0]).catch(error =>
+        logger.error(`Failed to remove previous avatar of user ${req.user.id}:`, error)
+      );
+
+      logger.info(`Avatar uploaded for user: ${req.user.id}`);
+
+      res.json({
+        success: true,
+        message: 'Avatar uploaded successfully',
+        data: {
+          avatarUrl: avatarUrls.medium,
+          avatarUrls
+        }
+      });
+    } catch (error) {
+      logger.error('Avatar upload error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to upload avatar'
+      });
+    }
+  }
+);
+
+// Referral code, invite status and earned credit
+router.get('/referrals', authenticateToken, async (req, res) => {
+  try {
+    const summary = await referralService.getSummary(req.user.id);
+
+    res.json({
+      success: true,
+      data: summary
     });
   } catch (error) {
-    logger.error('Avatar upload error:', error);
+    logger.error('Get referrals error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to upload avatar'
+      message: 'Failed to get referrals'
     });
   }
 });
@@ -239,6 +358,7 @@ router.put('/password',
     body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters'),
     handleValidationErrors
   ],
+  requireTwoFactorCode,
   async (req, res) => {
     try {
       const { currentPassword, newPassword } = req.body;
@@ -271,10 +391,10 @@ router.put('/password',
       );
 
       // Invalidate all sessions except current one
-      await query(
-        'DELETE FROM user_sessions WHERE user_id = $1',
-        [req.user.id]
-      );
+      await sessionService.revokeAllSessions(req.user.id, {
+        exceptSessionId: req.sessionId,
+        io: req.app.get('io')
+      });
 
       logger.info(`Password changed for user: ${req.user.id}`);
 
@@ -292,26 +412,70 @@ router.put('/password',
   }
 );
 
-// Delete account
-router.delete('/account', authenticateToken, async (req, res) => {
+// Request a copy of everything stored about the current user
+router.get('/me/export', authenticateToken, async (req, res) => {
   try {
-    // Soft delete - mark as inactive
-    await query(
-      'UPDATE users SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
-      [req.user.id]
-    );
+    const job = await dataExportService.requestExport(req.user.id);
+    const ready = job.status === 'ready';
 
-    // Delete all sessions
-    await query(
-      'DELETE FROM user_sessions WHERE user_id = $1',
-      [req.user.id]
-    );
+    res.status(ready ? 200 : 202).json({
+      success: true,
+      message: ready ? 'Data export is ready' : 'Data export is being prepared',
+      data: {
+        export: {
+          id: job.id,
+          status: job.status,
+          createdAt: job.created_at,
+          completedAt: job.completed_at,
+          expiresAt: job.expires_at,
+          downloadUrl: ready ? `/api/users/me/export/${job.id}/download` : null
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Data export request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request data export'
+    });
+  }
+});
+
+// Download a finished export bundle
+router.get('/me/export/:jobId/download',
+  authenticateToken,
+  uuidParamValidation('jobId'),
+  async (req, res) => {
+    try {
+      const filePath = await dataExportService.getDownloadPath(req.user.id, req.params.jobId);
+
+      if (!filePath) {
+        return res.status(404).json({
+          success: false,
+          message: 'Export not found or expired'
+        });
+      }
+
+      res.download(path.resolve(filePath), 'gari-data-export.json');
+    } catch (error) {
+      logger.error('Data export download error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to download data export'
+      });
+    }
+  }
+);
 
-    logger.info(`Account deleted for user: ${req.user.id}`);
+// Delete account - deactivated now, personal data purged after the grace period
+router.delete('/account', authenticateToken, requireTwoFactorCode, async (req, res) => {
+  try {
+    const scheduledFor = await accountDeletionService.scheduleDeletion(req.user.id, req.app.get('io'));
 
     res.json({
       success: true,
-      message: 'Account deleted successfully'
+      message: 'Account scheduled for deletion. Log in again before the deletion date to cancel.',
+      data: { scheduledFor }
     });
   } catch (error) {
     logger.error('Delete account error:', error);
@@ -371,4 +535,111 @@ router.get('/rides', authenticateToken, async (req, res) => {
   }
 });
 
+// Public profile shown to other riders; never exposes phone or email
+router.get('/:id/public', authenticateToken, uuidValidation, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const userResult = await query(
+      `SELECT id, name, avatar_url, is_verified, role, total_rides, rating, member_since
+       FROM users WHERE id = $1 AND is_active = true`,
+      [id]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const user = userResult.rows[0];
+
+    const breakdownResult = await query(
+      `SELECT rating, COUNT(*) as count
+       FROM ride_participants
+       WHERE user_id = $1 AND rating IS NOT NULL
+       GROUP BY rating`,
+      [id]
+    );
+
+    const ratingBreakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    breakdownResult.rows.forEach(row => {
+      ratingBreakdown[row.rating] = parseInt(row.count);
+    });
+    const totalRatings = Object.values(ratingBreakdown).reduce((sum, count) => sum + count, 0);
+
+    const reviewsResult = await query(
+      `SELECT rp.rating, rp.review, r.completion_time
+       FROM ride_participants rp
+       JOIN rides r ON rp.ride_id = r.id
+       WHERE rp.user_id = $1 AND rp.review IS NOT NULL AND TRIM(rp.review) <> ''
+       ORDER BY COALESCE(r.completion_time, r.departure_time) DESC
+       LIMIT 10`,
+      [id]
+    );
+
+    // Completed rides against lobbies the user cancelled or walked out of. A
+    // driver is also a participant of their ride, so rides are counted once; a
+    // creator who leaves cancels the lobby and counts only as a cancellation.
+    const reliabilityResult = await query(
+      `SELECT
+         (SELECT COUNT(DISTINCT ride_id) FROM (
+            SELECT ride_id FROM ride_participants WHERE user_id = $1
+            UNION ALL
+            SELECT id FROM rides WHERE driver_id = $1 AND status = 'completed'
+          ) rides_completed) as rides_completed,
+         (SELECT COUNT(*) FROM lobbies WHERE creator_id = $1 AND status = 'cancelled') as lobbies_cancelled,
+         (SELECT COUNT(*) FROM lobby_members lm
+          JOIN lobbies l ON lm.lobby_id = l.id
+          WHERE lm.user_id = $1 AND lm.status = 'left'
+            AND NOT (l.creator_id = $1 AND l.status = 'cancelled')) as lobbies_left`,
+      [id]
+    );
+
+    const reliability = reliabilityResult.rows[0];
+    const completed = parseInt(reliability.rides_completed);
+    const cancelled = parseInt(reliability.lobbies_cancelled) + parseInt(reliability.lobbies_left);
+
+    res.json({
+      success: true,
+      data: {
+        user: {
+          id: user.id,
+          name: user.name,
+          avatar: user.avatar_url,
+          isVerified: user.is_verified,
+          isDriver: user.role === 'driver',
+          totalRides: user.total_rides,
+          rating: parseFloat(user.rating),
+          memberSince: user.member_since
+        },
+        ratings: {
+          total: totalRatings,
+          breakdown: ratingBreakdown
+        },
+        reviews: reviewsResult.rows.map(row => ({
+          rating: row.rating,
+          review: row.review,
+          date: row.completion_time
+        })),
+        reliability: {
+          completedRides: completed,
+          cancelledLobbies: parseInt(reliability.lobbies_cancelled),
+          leftLobbies: parseInt(reliability.lobbies_left),
+          completionRate: completed + cancelled > 0
+            ? Math.round((completed / (completed + cancelled)) * 100) / 100
+            : null
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get public profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get user profile'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
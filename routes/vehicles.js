@@ -0,0 +1,352 @@
+const express = require('express');
+const { query } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { uuidValidation, vehicleValidation, vehiclePhotoValidation } = require('../middleware/validation');
+const { createUpload, handleUpload, verifyFileContents } = require('../middleware/upload');
+const imageService = require('../services/imageService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const MAX_PHOTOS = parseInt(process.env.VEHICLE_MAX_PHOTOS) || 5;
+
+// Kept in memory; photos are re-encoded (dropping EXIF/GPS data) before they are stored
+const upload = createUpload({
+  prefix: 'vehicle',
+  allowedTypes: ['image/jpeg', 'image/png', 'image/webp']
+});
+
+const VEHICLE_FIELDS = `id, make, model, color, plate_number, seat_capacity, photos, is_active,
+                        created_at, updated_at`;
+
+// Process and store uploaded photos; returns their public URLs
+const savePhotos = async (files = []) => {
+  const urls = [];
+
+  try {
+    for (const file of files) {
+      urls.push(await imageService.saveVehiclePhoto(file.buffer));
+    }
+  } catch (error) {
+    await imageService.removeVehiclePhotos(urls);
+    throw error;
+  }
+
+  return urls;
+};
+
+// Open lobbies and active lobby series that use the vehicle, and the most
+// seats any of them (or an upcoming modified occurrence) offers
+const vehicleUsage = async (vehicleId, ownerId) => {
+  const result = await query(
+    `WITH open_lobbies AS (
+       SELECT available_seats FROM lobbies
+       WHERE vehicle_id = $1 AND creator_id = $2 AND status IN ('active', 'full')
+     ), active_series AS (
+       SELECT id, available_seats FROM lobby_series
+       WHERE vehicle_id = $1 AND creator_id = $2 AND is_active = true
+         AND (end_date IS NULL OR end_date >= CURRENT_DATE)
+     )
+     SELECT (SELECT COUNT(*) FROM open_lobbies) + (SELECT COUNT(*) FROM active_series) as count,
+            GREATEST(
+              (SELECT MAX(available_seats) FROM open_lobbies),
+              (SELECT MAX(available_seats) FROM active_series),
+              (SELECT MAX((e.overrides->>'availableSeats')::integer)
+               FROM lobby_series_exceptions e
+               WHERE e.series_id IN (SELECT id FROM active_series)
+                 AND e.action = 'modify' AND e.occurrence_date >= CURRENT_DATE)
+            ) as max_seats`,
+    [vehicleId, ownerId]
+  );
+
+  return { count: parseInt(result.rows[0].count), maxSeats: result.rows[0].max_seats };
+};
+
+// List the current user's vehicles
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT ${VEHICLE_FIELDS} FROM vehicles WHERE owner_id = $1 ORDER BY created_at DESC`,
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: { vehicles: result.rows }
+    });
+  } catch (error) {
+    logger.error('Get vehicles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get vehicles'
+    });
+  }
+});
+
+// Register a vehicle, optionally with photos
+router.post('/',
+  authenticateToken,
+  handleUpload(upload.array('photos', MAX_PHOTOS)),
+  verifyFileContents,
+  vehicleValidation(),
+  async (req, res) => {
+    let photos = [];
+
+    try {
+      const { make, model, color, plateNumber, seatCapacity } = req.body;
+
+      const existing = await query(
+        'SELECT id FROM vehicles WHERE owner_id = $1 AND plate_number = $2',
+        [req.user.id, plateNumber]
+      );
+
+      if (existing.rows.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'You already registered a vehicle with this plate number'
+        });
+      }
+
+      photos = await savePhotos(req.files);
+
+      const result = await query(
+        `INSERT INTO vehicles (owner_id, make, model, color, plate_number, seat_capacity, photos)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING ${VEHICLE_FIELDS}`,
+        [req.user.id, make, model, color, plateNumber, seatCapacity, JSON.stringify(photos)]
+      );
+
+      logger.info(`Vehicle ${result.rows[0].id} registered by user ${req.user.id}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Vehicle registered successfully',
+        data: { vehicle: result.rows[0] }
+      });
+    } catch (error) {
+      logger.error('Create vehicle error:', error);
+      await imageService.removeVehiclePhotos(photos);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to register vehicle'
+      });
+    }
+  }
+);
+
+// Update vehicle details or its active flag
+router.put('/:id', authenticateToken, uuidValidation, vehicleValidation(true), async (req, res) => {
+  try {
+    const columns = {
+      make: 'make',
+      model: 'model',
+      color: 'color',
+      plateNumber: 'plate_number',
+      seatCapacity: 'seat_capacity',
+      isActive: 'is_active'
+    };
+
+    const updates = [];
+    const values = [];
+
+    Object.entries(columns).forEach(([field, column]) => {
+      if (req.body[field] !== undefined) {
+        values.push(req.body[field]);
+        updates.push(`${column} = $${values.length}`);
+      }
+    });
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid fields to update'
+      });
+    }
+
+    // Open lobbies and series using the vehicle must keep it active and fit in its seats
+    if (req.body.isActive === false || req.body.seatCapacity !== undefined) {
+      const usage = await vehicleUsage(req.params.id, req.user.id);
+
+      if (req.body.isActive === false && usage.count > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'This vehicle is used by open lobbies or lobby series and cannot be deactivated'
+        });
+      }
+
+      if (req.body.seatCapacity !== undefined && usage.maxSeats > req.body.seatCapacity) {
+        return res.status(409).json({
+          success: false,
+          message: `Open lobbies or lobby series using this vehicle offer ${usage.maxSeats} seats`
+        });
+      }
+    }
+
+    values.push(req.params.id, req.user.id);
+
+    const result = await query(
+      `UPDATE vehicles
+       SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${values.length - 1} AND owner_id = $${values.length}
+       RETURNING ${VEHICLE_FIELDS}`,
+      values
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Vehicle updated successfully',
+      data: { vehicle: result.rows[0] }
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({
+        success: false,
+        message: 'You already registered a vehicle with this plate number'
+      });
+    }
+
+    logger.error('Update vehicle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update vehicle'
+    });
+  }
+});
+
+// Add photos to a vehicle
+router.post('/:id/photos',
+  authenticateToken,
+  uuidValidation,
+  handleUpload(upload.array('photos', MAX_PHOTOS)),
+  verifyFileContents,
+  async (req, res) => {
+    let added = [];
+
+    try {
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No photos uploaded'
+        });
+      }
+
+      added = await savePhotos(req.files);
+
+      const result = await query(
+        `UPDATE vehicles
+         SET photos = photos || $1::jsonb, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND owner_id = $3 AND jsonb_array_length(photos) + $4 <= $5
+         RETURNING ${VEHICLE_FIELDS}`,
+        [JSON.stringify(added), req.params.id, req.user.id, added.length, MAX_PHOTOS]
+      );
+
+      if (result.rows.length === 0) {
+        await imageService.removeVehiclePhotos(added);
+        return res.status(400).json({
+          success: false,
+          message: `Vehicle not found or it would exceed ${MAX_PHOTOS} photos`
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Photos added successfully',
+        data: { vehicle: result.rows[0] }
+      });
+    } catch (error) {
+      logger.error('Add vehicle photos error:', error);
+      await imageService.removeVehiclePhotos(added);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to add photos'
+      });
+    }
+  }
+);
+
+// Remove one photo from a vehicle
+router.delete('/:id/photos',
+  authenticateToken,
+  uuidValidation,
+  vehiclePhotoValidation,
+  async (req, res) => {
+    try {
+      const result = await query(
+        `UPDATE vehicles
+         SET photos = photos - $1::text, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND owner_id = $3 AND photos ? $1
+         RETURNING ${VEHICLE_FIELDS}`,
+        [req.body.photoUrl, req.params.id, req.user.id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Photo not found'
+        });
+      }
+
+      await imageService.removeVehiclePhotos([req.body.photoUrl]);
+
+      res.json({
+        success: true,
+        message: 'Photo removed successfully',
+        data: { vehicle: result.rows[0] }
+      });
+    } catch (error) {
+      logger.error('Remove vehicle photo error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove photo'
+      });
+    }
+  }
+);
+
+// Delete a vehicle that no open lobby or active series uses
+router.delete('/:id', authenticateToken, uuidValidation, async (req, res) => {
+  try {
+    if ((await vehicleUsage(req.params.id, req.user.id)).count > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This vehicle is used by open lobbies or lobby series and cannot be deleted'
+      });
+    }
+
+    const result = await query(
+      'DELETE FROM vehicles WHERE id = $1 AND owner_id = $2 RETURNING photos',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    await imageService.removeVehiclePhotos(result.rows[0].photos);
+
+    logger.info(`Vehicle ${req.params.id} deleted by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Vehicle deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete vehicle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete vehicle'
+    });
+  }
+});
+
+module.exports = router;
@@ -12,30 +12,64 @@ async function seedDatabase() {
         name: 'Abebe Kebede',
         email: 'abebe.kebede@example.com',
         phone: '+251911123456',
-        password: 'password123'
+        password: 'password123',
+        role: 'driver'
       },
       {
         name: 'Almaz Bekele',
         email: 'almaz.bekele@example.com',
         phone: '+251911234567',
-        password: 'password123'
+        password: 'password123',
+        role: 'driver'
       },
       {
         name: 'Dawit Haile',
         email: 'dawit.haile@example.com',
         phone: '+251911345678',
-        password: 'password123'
+        password: 'password123',
+        role: 'rider'
       },
       {
         name: 'Tigist Worku',
         email: 'tigist.worku@example.com',
         phone: '+251911456789',
-        password: 'password123'
+        password: 'password123',
+        role: 'rider'
       }
     ];
 
     const createdUsers = [];
 
+    // Seed admin account
+    const admin = {
+      name: process.env.SEED_ADMIN_NAME || 'G.A.R.I. Admin',
+      email: process.env.SEED_ADMIN_EMAIL || 'admin@gari.et',
+      phone: process.env.SEED_ADMIN_PHONE || '+251911000000',
+      password: process.env.SEED_ADMIN_PASSWORD || 'ChangeMe!2024'
+    };
+
+    const existingAdmin = await query(
+      'SELECT id FROM users WHERE email = $1 OR phone = $2',
+      [admin.email, admin.phone]
+    );
+
+    if (existingAdmin.rows.length === 0) {
+      const passwordHash = await bcrypt.hash(admin.password, 12);
+
+      await query(
+        `INSERT INTO users (name, email, phone, password_hash, is_verified, role)
+         VALUES ($1, $2, $3, $4, true, 'admin')`,
+        [admin.name, admin.email, admin.phone, passwordHash]
+      );
+
+      logger.info(`Created admin: ${admin.email}`);
+      if (!process.env.SEED_ADMIN_PASSWORD) {
+        logger.warn('⚠️  Admin seeded with the default password, change it before going live');
+      }
+    } else {
+      logger.info(`Admin already exists: ${admin.email}`);
+    }
+
     for (const user of users) {
       // Check if user already exists
       const existingUser = await query(
@@ -47,14 +81,24 @@ async function seedDatabase() {
         const passwordHash = await bcrypt.hash(user.password, 12);
         
         const result = await query(
-          `INSERT INTO users (name, email, phone, password_hash, is_verified, total_rides, rating)
-           VALUES ($1, $2, $3, $4, $5, $6, $7)
+          `INSERT INTO users (name, email, phone, password_hash, is_verified, total_rides, rating, role)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
            RETURNING id, name, email`,
-          [user.name, user.email, user.phone, passwordHash, true, Math.floor(Math.random() * 50), 4.0 + Math.random()]
+          [user.name, user.email, user.phone, passwordHash, true, Math.floor(Math.random() * 50), 4.0 + Math.random(), user.role]
         );
 
         createdUsers.push(result.rows[0]);
         logger.info(`Created user: ${user.name}`);
+
+        // Sample drivers come pre-approved
+        if (user.role === 'driver') {
+          await query(
+            `INSERT INTO driver_applications (user_id, status, license_number, license_expiry,
+                                              license_document_path, registration_document_path, reviewed_at)
+             VALUES ($1, 'approved', $2, $3, 'seed', 'seed', CURRENT_TIMESTAMP)`,
+            [result.rows[0].id, `SEED-${user.phone.slice(-6)}`, new Date(Date.now() + 365 * 24 * 60 * 60 * 1000)]
+          );
+        }
       } else {
         createdUsers.push(existingUser.rows[0]);
         logger.info(`User already exists: ${user.name}`);
@@ -12,14 +12,24 @@ const { connectRedis } = require('./config/redis');
 const logger = require('./utils/logger');
 const errorHandler = require('./middleware/errorHandler');
 const socketHandler = require('./services/socketService');
+const { startJobs } = require('./jobs');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
+const vehicleRoutes = require('./routes/vehicles');
+const emergencyContactRoutes = require('./routes/emergencyContacts');
+const blockRoutes = require('./routes/blocks');
+const favoriteRoutes = require('./routes/favorites');
+const placeRoutes = require('./routes/places');
+const reportRoutes = require('./routes/reports');
 const lobbyRoutes = require('./routes/lobbies');
+const lobbySeriesRoutes = require('./routes/lobbySeries');
 const chatRoutes = require('./routes/chat');
 const mapRoutes = require('./routes/map');
 const rideRoutes = require('./routes/rides');
+const adminRoutes = require('./routes/admin');
+const driverRoutes = require('./routes/drivers');
 
 const app = express();
 const server = http.createServer(app);
@@ -67,15 +77,27 @@ app.get('/health', (req, res) => {
 
 // API Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/users/vehicles', vehicleRoutes);
+app.use('/api/users/emergency-contacts', emergencyContactRoutes);
+app.use('/api/users/blocks', blockRoutes);
+app.use('/api/users/favorites', favoriteRoutes);
+app.use('/api/users/places', placeRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/lobbies/series', lobbySeriesRoutes);
 app.use('/api/lobbies', lobbyRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/map', mapRoutes);
 app.use('/api/rides', rideRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/drivers', driverRoutes);
 
 // Socket.IO handling
 socketHandler(io);
 
+// Expose io to route handlers (e.g. to disconnect revoked sessions)
+app.set('io', io);
+
 // Error handling middleware
 app.use(errorHandler);
 
@@ -102,6 +124,9 @@ async function startServer() {
       logger.info(`🔴 Redis connected`);
       logger.info(`🔌 Socket.IO ready`);
     });
+
+    // Background jobs
+    startJobs(io);
   } catch (error) {
     logger.error('Failed to start server:', error);
     process.exit(1);
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { pool, query } = require('../config/database');
+const sessionService = require('./sessionService');
+const imageService = require('./imageService');
+const { privateStorage } = require('./storage');
+const logger = require('../utils/logger');
+
+const GRACE_PERIOD_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+// Personal data removed or blanked when an account is purged ($1 = user id).
+// Ride rows stay so co-riders' histories remain consistent; they point at the
+// anonymized user row instead.
+const PERSONAL_DATA_STATEMENTS = [
+  'DELETE FROM user_sessions WHERE user_id = $1',
+  'DELETE FROM user_backup_codes WHERE user_id = $1',
+  'UPDATE lobby_members SET pickup_location = NULL, pickup_coordinates = NULL, removal_reason = NULL WHERE user_id = $1',
+  'UPDATE ride_participants SET pickup_location = NULL, dropoff_location = NULL WHERE user_id = $1',
+  'UPDATE lobbies SET description = NULL WHERE creator_id = $1',
+  'DELETE FROM emergency_contacts WHERE user_id = $1',
+  'DELETE FROM user_blocks WHERE blocker_id = $1',
+  'DELETE FROM saved_places WHERE user_id = $1',
+  'DELETE FROM favorite_riders WHERE user_id = $1',
+  'DELETE FROM lobby_series_members WHERE user_id = $1',
+  'DELETE FROM lobby_join_requests WHERE user_id = $1',
+  'UPDATE lobby_series SET description = NULL, is_active = false WHERE creator_id = $1',
+  'UPDATE referrals SET device_id = NULL WHERE referee_id = $1',
+  'UPDATE sos_incidents SET latitude = NULL, longitude = NULL, message = NULL WHERE user_id = $1'
+];
+
+// Files referenced by the account, removed after the purge commits.
+// Private storage objects (keys):
+const PRIVATE_OBJECT_QUERIES = [
+  'DELETE FROM chat_messages WHERE user_id = $1 RETURNING attachment_key',
+  'DELETE FROM driver_applications WHERE user_id = $1 RETURNING license_document_path, registration_document_path'
+];
+
+// Local files (disk paths or /uploads URLs):
+const PERSONAL_FILE_QUERIES = [
+  'DELETE FROM data_export_jobs WHERE user_id = $1 RETURNING file_path'
+];
+
+// Public storage URLs:
+const VEHICLE_PHOTO_QUERY = 'DELETE FROM vehicles WHERE owner_id = $1 RETURNING photos';
+
+// Values returned by the file queries, flattened
+const returnedValues = (rows) => rows.flatMap(row => Object.values(row)).flat().filter(Boolean);
+
+// Stored values are disk paths or public /uploads URLs
+const toFilePaths = (value) => [].concat(value)
+  .filter(Boolean)
+  .map(item => item.replace(/^\/uploads\//, 'uploads/'));
+
+class AccountDeletionService {
+  // Deactivate now, purge after the grace period
+  async scheduleDeletion(userId, io) {
+    const result = await query(
+      `UPDATE users
+       SET is_active = false,
+           deletion_requested_at = CURRENT_TIMESTAMP,
+           deletion_scheduled_for = CURRENT_TIMESTAMP + ($1::integer * INTERVAL '1 day'),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING deletion_scheduled_for`,
+      [GRACE_PERIOD_DAYS, userId]
+    );
+
+    await sessionService.revokeAllSessions(userId, { io });
+
+    logger.info(`Account deletion scheduled for user ${userId}`);
+
+    return result.rows[0].deletion_scheduled_for;
+  }
+
+  // Reactivate an account still inside its grace period
+  async cancelDeletion(userId) {
+    const result = await query(
+      `UPDATE users
+       SET is_active = true, deletion_requested_at = NULL, deletion_scheduled_for = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND deletion_scheduled_for IS NOT NULL AND purged_at IS NULL
+       RETURNING id`,
+      [userId]
+    );
+
+    if (result.rows.length > 0) {
+      logger.info(`Account deletion cancelled for user ${userId}`);
+    }
+
+    return result.rows.length > 0;
+  }
+
+  // Remove personal data and anonymize the user row. Returns the files to
+  // remove once the transaction commits.
+  async purgeUser(client, user) {
+    const files = { filePaths: [], privateKeys: [], vehiclePhotos: [] };
+
+    for (const statement of PERSONAL_DATA_STATEMENTS) {
+      await client.query(statement, [user.id]);
+    }
+
+    for (const statement of PRIVATE_OBJECT_QUERIES) {
+      const result = await client.query(statement, [user.id]);
+      files.privateKeys.push(...returnedValues(result.rows));
+    }
+
+    for (const statement of PERSONAL_FILE_QUERIES) {
+      const result = await client.query(statement, [user.id]);
+      files.filePaths.push(...toFilePaths(returnedValues(result.rows)));
+    }
+
+    const vehicles = await client.query(VEHICLE_PHOTO_QUERY, [user.id]);
+    files.vehiclePhotos.push(...returnedValues(vehicles.rows));
+
+    await client.query('DELETE FROM otp_codes WHERE phone = $1', [user.phone]);
+
+    const anonymousId = user.id.replace(/-/g, '').slice(0, 16);
+
+    await client.query(
+      `UPDATE users
+       SET name = 'Deleted user',
+           email = $1,
+           phone = $2,
+           password_hash = $3,
+           avatar_url = NULL,
+           avatar_key = NULL,
+           is_verified = false,
+           gender = NULL,
+           ride_preferences = '{}',
+           referral_code = NULL,
+           totp_secret = NULL,
+           totp_enabled = false,
+           purged_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4`,
+      [
+        `deleted-${user.id}@deleted.invalid`,
+        `del${anonymousId}`,
+        crypto.randomBytes(32).toString('hex'),
+        user.id
+      ]
+    );
+
+    return files;
+  }
+
+  async removeFiles(user, { filePaths, privateKeys, vehiclePhotos }) {
+    await Promise.all([
+      ...filePaths.map(filePath => fs.promises.unlink(filePath).catch(() => {})),
+      ...privateKeys.map(key => privateStorage.delete(key).catch(() => {})),
+      imageService.removeVehiclePhotos(vehiclePhotos).catch(() => {}),
+      imageService.removeAvatar(user).catch(() => {})
+    ]);
+  }
+
+  // Purge accounts whose grace period has ended; SKIP LOCKED lets several
+  // instances run this concurrently without touching the same user
+  async purgeDueAccounts(limit = 100) {
+    let purged = 0;
+
+    for (let i = 0; i < limit; i++) {
+      const client = await pool.connect();
+      let user = null;
+      let files = null;
+
+      try {
+        await client.query('BEGIN');
+
+        const result = await client.query(
+          `SELECT id, phone, avatar_url, avatar_key FROM users
+           WHERE deletion_scheduled_for <= CURRENT_TIMESTAMP AND purged_at IS NULL
+           ORDER BY deletion_scheduled_for
+           LIMIT 1
+           FOR UPDATE SKIP LOCKED`
+        );
+
+        if (result.rows.length === 0) {
+          await client.query('ROLLBACK');
+          break;
+        }
+
+        user = result.rows[0];
+        files = await this.purgeUser(client, user);
+
+        await client.query('COMMIT');
+        purged++;
+        logger.info(`Account purged: ${user.id}`);
+      } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error(`Account purge failed for user ${user && user.id}:`, error);
+        break;
+      } finally {
+        client.release();
+      }
+
+      await this.removeFiles(user, files);
+    }
+
+    return purged;
+  }
+}
+
+module.exports = new AccountDeletionService();
@@ -0,0 +1,65 @@
+const { query } = require('../config/database');
+
+class BlockService {
+  async block(blockerId, blockedId) {
+    await query(
+      `INSERT INTO user_blocks (blocker_id, blocked_id) VALUES ($1, $2)
+       ON CONFLICT (blocker_id, blocked_id) DO NOTHING`,
+      [blockerId, blockedId]
+    );
+  }
+
+  async unblock(blockerId, blockedId) {
+    const result = await query(
+      'DELETE FROM user_blocks WHERE blocker_id = $1 AND blocked_id = $2 RETURNING blocked_id',
+      [blockerId, blockedId]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  async listBlocked(blockerId) {
+    const result = await query(
+      `SELECT u.id, u.name, u.avatar_url, ub.created_at as blocked_at
+       FROM user_blocks ub
+       JOIN users u ON ub.blocked_id = u.id
+       WHERE ub.blocker_id = $1
+       ORDER BY ub.created_at DESC`,
+      [blockerId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * SQL condition hiding lobbies (alias `l`) run by users the viewer blocked,
+   * and lobbies whose active members blocked the viewer.
+   */
+  notBlockedLobbySql(viewerParam) {
+    return `NOT EXISTS (
+      SELECT 1 FROM user_blocks ub
+      WHERE (ub.blocker_id = ${viewerParam} AND ub.blocked_id = l.creator_id)
+         OR (ub.blocked_id = ${viewerParam} AND ub.blocker_id IN (
+              SELECT lm.user_id FROM lobby_members lm WHERE lm.lobby_id = l.id AND lm.status = 'active'))
+    )`;
+  }
+
+  // True when the lobby creator or any active member has blocked the user
+  async isBlockedInLobby(lobbyId, userId) {
+    const result = await query(
+      `SELECT 1 FROM user_blocks ub
+       WHERE ub.blocked_id = $2
+         AND ub.blocker_id IN (
+           SELECT creator_id FROM lobbies WHERE id = $1
+           UNION
+           SELECT user_id FROM lobby_members WHERE lobby_id = $1 AND status = 'active'
+         )
+       LIMIT 1`,
+      [lobbyId, userId]
+    );
+
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = new BlockService();
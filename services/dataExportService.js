@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Export bundles are private; they are only served through an authenticated route
+const EXPORTS_DIR = process.env.DATA_EXPORTS_DIR || 'private_uploads/exports/';
+const EXPORT_RETENTION_HOURS = parseInt(process.env.DATA_EXPORT_RETENTION_HOURS) || 48;
+
+class DataExportService {
+  // Latest job for a user, whatever its state
+  async getLatestJob(userId) {
+    const result = await query(
+      `SELECT id, status, error, created_at, completed_at, expires_at
+       FROM data_export_jobs
+       WHERE user_id = $1
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [userId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Reuse a running job or an unexpired download, otherwise queue a new one
+  async requestExport(userId) {
+    const latest = await this.getLatestJob(userId);
+    const running = latest && ['pending', 'processing'].includes(latest.status);
+    const downloadable = latest && latest.status === 'ready' && new Date(latest.expires_at) > new Date();
+
+    if (running || downloadable) {
+      return latest;
+    }
+
+    const result = await query(
+      `INSERT INTO data_export_jobs (user_id) VALUES ($1)
+       RETURNING id, status, error, created_at, completed_at, expires_at`,
+      [userId]
+    );
+
+    const job = result.rows[0];
+
+    setImmediate(() => {
+      this.processJob(job.id).catch(error => logger.error(`Data export ${job.id} failed:`, error));
+    });
+
+    return job;
+  }
+
+  // Collect everything stored about the user
+  async buildBundle(userId) {
+    const run = async (text) => (await query(text, [userId])).rows;
+
+    const [profile] = await run(
+      `SELECT id, name, email, phone, avatar_url, role, is_verified, gender, ride_preferences,
+              referral_code, referral_credit, total_rides, rating, member_since, last_active,
+              created_at, updated_at
+       FROM users WHERE id = $1`
+    );
+
+    return {
+      generatedAt: new Date().toISOString(),
+      format: 'gari-data-export/v1',
+      profile,
+      sessions: await run(
+        'SELECT id, device_info, created_at, last_used_at, expires_at FROM user_sessions WHERE user_id = $1'
+      ),
+      lobbiesCreated: await run(
+        `SELECT id, from_location, to_location, departure_time, vehicle_type, available_seats,
+                price_per_seat, description, status, created_at
+         FROM lobbies WHERE creator_id = $1 ORDER BY created_at`
+      ),
+      lobbyMemberships: await run(
+        `SELECT lm.lobby_id, lm.pickup_location, lm.seats, lm.joined_at, lm.status, lm.removal_reason,
+                l.from_location, l.to_location, l.departure_time
+         FROM lobby_members lm JOIN lobbies l ON lm.lobby_id = l.id
+         WHERE lm.user_id = $1 ORDER BY lm.joined_at`
+      ),
+      chatMessages: await run(
+        `SELECT id, lobby_id, message, message_type, created_at
+         FROM chat_messages WHERE user_id = $1 ORDER BY created_at`
+      ),
+      rides: await run(
+        `SELECT r.id, r.from_location, r.to_location, r.departure_time, r.completion_time,
+                r.distance_km, r.duration_minutes, r.status,
+                rp.amount_paid, rp.pickup_location, rp.dropoff_location,
+                rp.rating AS rating_received, rp.review AS review_received
+         FROM ride_participants rp JOIN rides r ON rp.ride_id = r.id
+         WHERE rp.user_id = $1 ORDER BY r.departure_time`
+      ),
+      ridesDriven: await run(
+        `SELECT id, lobby_id, from_location, to_location, departure_time, completion_time,
+                total_amount, distance_km, duration_minutes, status
+         FROM rides WHERE driver_id = $1 ORDER BY departure_time`
+      ),
+      vehicles: await run(
+        `SELECT id, make, model, color, plate_number, seat_capacity, is_active, created_at
+         FROM vehicles WHERE owner_id = $1 ORDER BY created_at`
+      ),
+      savedPlaces: await run(
+        `SELECT id, label, type, address, coordinates[0] as longitude, coordinates[1] as latitude, created_at
+         FROM saved_places WHERE user_id = $1`
+      ),
+      emergencyContacts: await run(
+        'SELECT id, name, phone, relationship, created_at FROM emergency_contacts WHERE user_id = $1'
+      ),
+      sosIncidents: await run(
+        `SELECT id, lobby_id, status, latitude, longitude, message, created_at, resolved_at
+         FROM sos_incidents WHERE user_id = $1 ORDER BY created_at`
+      ),
+      blockedUsers: await run(
+        'SELECT blocked_id, created_at FROM user_blocks WHERE blocker_id = $1'
+      ),
+      reportsFiled: await run(
+        `SELECT id, reported_user_id, category, description, status, created_at
+         FROM user_reports WHERE reporter_id = $1 ORDER BY created_at`
+      ),
+      lobbyJoinRequests: await run(
+        `SELECT lobby_id, seats, pickup_location, status, responded_at, created_at
+         FROM lobby_join_requests WHERE user_id = $1 ORDER BY created_at`
+      ),
+      lobbySeries: await run(
+        `SELECT id, from_location, to_location, days_of_week, departure_time, start_date, end_date,
+                is_active, created_at
+         FROM lobby_series WHERE creator_id = $1 ORDER BY created_at`
+      ),
+      lobbySeriesMemberships: await run(
+        'SELECT series_id, pickup_location, created_at FROM lobby_series_members WHERE user_id = $1'
+      ),
+      favoriteRiders: await run(
+        'SELECT favorite_user_id, ride_id, created_at FROM favorite_riders WHERE user_id = $1'
+      ),
+      referrals: await run(
+        `SELECT id, referrer_id, referee_id, code, status, referrer_reward, referee_reward,
+                rewarded_at, created_at
+         FROM referrals WHERE referrer_id = $1 OR referee_id = $1 ORDER BY created_at`
+      ),
+      driverApplications: await run(
+        `SELECT id, status, license_number, license_expiry, review_notes, reviewed_at, created_at
+         FROM driver_applications WHERE user_id = $1 ORDER BY created_at`
+      )
+    };
+  }
+
+  async processJob(jobId) {
+    // Claim the job so concurrent workers never build it twice
+    const claim = await query(
+      `UPDATE data_export_jobs SET status = 'processing', started_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'pending'
+       RETURNING id, user_id`,
+      [jobId]
+    );
+
+    if (claim.rows.length === 0) {
+      return;
+    }
+
+    const { user_id: userId } = claim.rows[0];
+
+    try {
+      const bundle = await this.buildBundle(userId);
+
+      await fs.promises.mkdir(EXPORTS_DIR, { recursive: true });
+      const filePath = path.join(EXPORTS_DIR, `gari-export-${jobId}.json`);
+      await fs.promises.writeFile(filePath, JSON.stringify(bundle, null, 2));
+
+      await query(
+        `UPDATE data_export_jobs
+         SET status = 'ready', file_path = $1, completed_at = CURRENT_TIMESTAMP,
+             expires_at = CURRENT_TIMESTAMP + ($2::integer * INTERVAL '1 hour')
+         WHERE id = $3`,
+        [filePath, EXPORT_RETENTION_HOURS, jobId]
+      );
+
+      logger.info(`Data export ${jobId} ready for user ${userId}`);
+    } catch (error) {
+      await query(
+        `UPDATE data_export_jobs SET status = 'failed', error = $1, completed_at = CURRENT_TIMESTAMP WHERE id = $2`,
+        [error.message, jobId]
+      );
+      throw error;
+    }
+  }
+
+  // Resolve the file of a ready, unexpired job owned by the user
+  async getDownloadPath(userId, jobId) {
+    const result = await query(
+      `SELECT file_path FROM data_export_jobs
+       WHERE id = $1 AND user_id = $2 AND status = 'ready' AND expires_at > CURRENT_TIMESTAMP`,
+      [jobId, userId]
+    );
+
+    return result.rows.length > 0 ? result.rows[0].file_path : null;
+  }
+
+  // Pick up jobs left pending (e.g. after a restart) and requeue stuck ones
+  async processPendingJobs() {
+    await query(
+      `UPDATE data_export_jobs SET status = 'pending'
+       WHERE status = 'processing' AND started_at < CURRENT_TIMESTAMP - INTERVAL '30 minutes'`
+    );
+
+    const pending = await query(
+      `SELECT id FROM data_export_jobs
+       WHERE status = 'pending' AND created_at < CURRENT_TIMESTAMP - INTERVAL '1 minute'
+       ORDER BY created_at
+       LIMIT 20`
+    );
+
+    for (const job of pending.rows) {
+      try {
+        await this.processJob(job.id);
+      } catch (error) {
+        logger.error(`Data export ${job.id} failed:`, error);
+      }
+    }
+
+    return pending.rows.length;
+  }
+
+  // Delete bundles past their download window
+  async removeExpiredExports() {
+    const expired = await query(
+      `UPDATE data_export_jobs SET status = 'expired'
+       WHERE status = 'ready' AND expires_at <= CURRENT_TIMESTAMP
+       RETURNING file_path`
+    );
+
+    await Promise.all(expired.rows.map(row =>
+      fs.promises.unlink(row.file_path).catch(() => {})
+    ));
+
+    return expired.rows.length;
+  }
+}
+
+module.exports = new DataExportService();
@@ -0,0 +1,108 @@
+const { query } = require('../config/database');
+const smsService = require('./smsService');
+const logger = require('../utils/logger');
+
+const LICENSE_REMINDER_DAYS = parseInt(process.env.DRIVER_LICENSE_REMINDER_DAYS) || 14;
+
+class DriverService {
+  // An approved application with a license that has not lapsed
+  async isApprovedDriver(userId) {
+    const result = await query(
+      `SELECT 1 FROM driver_applications
+       WHERE user_id = $1 AND status = 'approved' AND license_expiry >= CURRENT_DATE
+       LIMIT 1`,
+      [userId]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  async getLatestApplication(userId) {
+    const result = await query(
+      `SELECT id, status, license_number, license_expiry, review_notes, reviewed_at, created_at, updated_at
+       FROM driver_applications
+       WHERE user_id = $1
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [userId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Expire approvals whose license lapsed and demote drivers left without one
+  async expireLapsedLicenses(io) {
+    const expired = await query(
+      `UPDATE driver_applications
+       SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'approved' AND license_expiry < CURRENT_DATE
+       RETURNING id, user_id`
+    );
+
+    const userIds = [...new Set(expired.rows.map(row => row.user_id))];
+
+    if (userIds.length > 0) {
+      await query(
+        `UPDATE users SET role = 'rider', updated_at = CURRENT_TIMESTAMP
+         WHERE id = ANY($1::uuid[]) AND role = 'driver'
+           AND NOT EXISTS (
+             SELECT 1 FROM driver_applications da
+             WHERE da.user_id = users.id AND da.status = 'approved'
+           )`,
+        [userIds]
+      );
+    }
+
+    for (const row of expired.rows) {
+      if (io) {
+        io.to(`user_${row.user_id}`).emit('driver_application_updated', {
+          applicationId: row.id,
+          status: 'expired',
+          timestamp: new Date()
+        });
+      }
+    }
+
+    return expired.rows.length;
+  }
+
+  // Remind drivers once before their license expires; the UPDATE claims each row
+  // so concurrent runs never send the same reminder twice
+  async sendExpiryReminders(io) {
+    const due = await query(
+      `UPDATE driver_applications da
+       SET reminder_sent_at = CURRENT_TIMESTAMP
+       FROM users u
+       WHERE da.user_id = u.id
+         AND da.status = 'approved'
+         AND da.reminder_sent_at IS NULL
+         AND da.license_expiry BETWEEN CURRENT_DATE AND CURRENT_DATE + $1::integer
+       RETURNING da.id, da.user_id, da.license_expiry, u.phone`,
+      [LICENSE_REMINDER_DAYS]
+    );
+
+    for (const row of due.rows) {
+      const expiry = new Date(row.license_expiry).toISOString().slice(0, 10);
+
+      try {
+        await smsService.send(
+          row.phone,
+          `Your driver license on G.A.R.I. expires on ${expiry}. Please submit a renewed license to keep creating rides.`
+        );
+      } catch (error) {
+        logger.error(`License reminder failed for application ${row.id}:`, error);
+      }
+
+      if (io) {
+        io.to(`user_${row.user_id}`).emit('driver_license_expiring', {
+          applicationId: row.id,
+          licenseExpiry: row.license_expiry
+        });
+      }
+    }
+
+    return due.rows.length;
+  }
+}
+
+module.exports = new DriverService();
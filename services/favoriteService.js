@@ -0,0 +1,48 @@
+const { query } = require('../config/database');
+
+class FavoriteService {
+  async add(userId, favoriteUserId, rideId) {
+    await query(
+      `INSERT INTO favorite_riders (user_id, favorite_user_id, ride_id) VALUES ($1, $2, $3)
+       ON CONFLICT (user_id, favorite_user_id) DO NOTHING`,
+      [userId, favoriteUserId, rideId]
+    );
+  }
+
+  async remove(userId, favoriteUserId) {
+    const result = await query(
+      'DELETE FROM favorite_riders WHERE user_id = $1 AND favorite_user_id = $2 RETURNING favorite_user_id',
+      [userId, favoriteUserId]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  async list(userId) {
+    const result = await query(
+      `SELECT u.id, u.name, u.avatar_url, u.rating, f.ride_id, f.created_at as favorited_at
+       FROM favorite_riders f
+       JOIN users u ON f.favorite_user_id = u.id
+       WHERE f.user_id = $1 AND u.is_active = true
+       ORDER BY f.created_at DESC`,
+      [userId]
+    );
+
+    return result.rows;
+  }
+
+  // True when the user took part in the ride as a rider or as its driver
+  async wasOnRide(rideId, userId) {
+    const result = await query(
+      `SELECT 1 FROM ride_participants WHERE ride_id = $1 AND user_id = $2
+       UNION ALL
+       SELECT 1 FROM rides WHERE id = $1 AND driver_id = $2
+       LIMIT 1`,
+      [rideId, userId]
+    );
+
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = new FavoriteService();
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { publicStorage, privateStorage } = require('./storage');
+
+// Square avatar variants in pixels
+const AVATAR_SIZES = {
+  small: 64,
+  medium: 256,
+  large: 512
+};
+
+const CHAT_IMAGE_MAX_SIZE = parseInt(process.env.CHAT_IMAGE_MAX_DIMENSION) || 1600;
+const VEHICLE_PHOTO_MAX_SIZE = parseInt(process.env.VEHICLE_PHOTO_MAX_DIMENSION) || 1600;
+
+class ImageService {
+  // Re-encode to WebP. rotate() applies the EXIF orientation first; sharp does
+  // not copy metadata to the output, so EXIF data (including GPS) is dropped.
+  async toWebp(buffer, resize) {
+    return sharp(buffer)
+      .rotate()
+      .resize(resize)
+      .webp({ quality: 82 })
+      .toBuffer();
+  }
+
+  avatarKeys(baseKey) {
+    return Object.keys(AVATAR_SIZES).map(size => `${baseKey}-${size}.webp`);
+  }
+
+  avatarUrls(baseKey) {
+    if (!baseKey) {
+      return null;
+    }
+
+    const urls = {};
+    Object.keys(AVATAR_SIZES).forEach(size => {
+      urls[size] = publicStorage.url(`${baseKey}-${size}.webp`);
+    });
+    return urls;
+  }
+
+  // Store every avatar size; returns the base key shared by the variants
+  async saveAvatar(userId, buffer) {
+    const baseKey = `avatars/${userId}/${crypto.randomUUID()}`;
+
+    for (const [size, pixels] of Object.entries(AVATAR_SIZES)) {
+      const variant = await this.toWebp(buffer, { width: pixels, height: pixels, fit: 'cover' });
+      await publicStorage.put(`${baseKey}-${size}.webp`, variant, 'image/webp');
+    }
+
+    return baseKey;
+  }
+
+  // Remove a user's stored avatar: processed variants, or a file uploaded
+  // before avatars were processed
+  async removeAvatar({ avatar_key: avatarKey, avatar_url: avatarUrl }) {
+    if (avatarKey) {
+      await Promise.all(this.avatarKeys(avatarKey).map(key => publicStorage.delete(key)));
+    } else if (avatarUrl && avatarUrl.startsWith('/uploads/avatars/')) {
+      await publicStorage.delete(avatarUrl.replace('/uploads/', ''));
+    }
+  }
+
+  // Vehicle photos are public; returns the photo URL stored on the vehicle
+  async saveVehiclePhoto(buffer) {
+    const photo = await this.toWebp(buffer, {
+      width: VEHICLE_PHOTO_MAX_SIZE,
+      height: VEHICLE_PHOTO_MAX_SIZE,
+      fit: 'inside',
+      withoutEnlargement: true
+    });
+
+    const key = `vehicles/${crypto.randomUUID()}.webp`;
+    await publicStorage.put(key, photo, 'image/webp');
+
+    return publicStorage.url(key);
+  }
+
+  // URLs the public storage did not produce (e.g. local files after a switch to S3) are skipped
+  async removeVehiclePhotos(urls) {
+    const keys = urls.map(url => publicStorage.keyFromUrl(url)).filter(Boolean);
+    await Promise.all(keys.map(key => publicStorage.delete(key).catch(() => {})));
+  }
+
+  chatImageKey(lobbyId, imageId) {
+    return `chat-images/${lobbyId}/${imageId}.webp`;
+  }
+
+  // Chat images are private to lobby members and served through the chat API
+  async saveChatImage(lobbyId, buffer) {
+    const imageId = crypto.randomUUID();
+    const image = await this.toWebp(buffer, {
+      width: CHAT_IMAGE_MAX_SIZE,
+      height: CHAT_IMAGE_MAX_SIZE,
+      fit: 'inside',
+      withoutEnlargement: true
+    });
+
+    const key = this.chatImageKey(lobbyId, imageId);
+    await privateStorage.put(key, image, 'image/webp');
+
+    return {
+      imageId,
+      key,
+      url: `/api/chat/lobby/${lobbyId}/images/${imageId}`
+    };
+  }
+}
+
+module.exports = new ImageService();
@@ -0,0 +1,152 @@
+const { pool, query } = require('../config/database');
+const { hasPermission } = require('../config/roles');
+const lobbyService = require('./lobbyService');
+const lobbyStateMachine = require('./lobbyStateMachine');
+const logger = require('../utils/logger');
+
+class JoinRequestService {
+  /**
+   * Ask to join an approval lobby; the creator is told through their user room.
+   * Returns { success, request } or { success: false, status, message }.
+   */
+  async create(lobby, user, seats, pickupLocation, io) {
+    if (lobby.available_seats - lobby.seats_taken < seats) {
+      return { success: false, status: 400, message: seats > 1 ? 'Not enough seats left in this lobby' : 'Lobby is full' };
+    }
+
+    const result = await query(
+      `INSERT INTO lobby_join_requests (lobby_id, user_id, seats, pickup_location)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (lobby_id, user_id) WHERE status = 'pending' DO NOTHING
+       RETURNING id, lobby_id, seats, pickup_location, status, created_at`,
+      [lobby.id, user.id, seats, pickupLocation]
+    );
+
+    if (result.rows.length === 0) {
+      return { success: false, status: 400, message: 'You have already asked to join this lobby' };
+    }
+
+    const request = result.rows[0];
+
+    if (io) {
+      io.to(`user_${lobby.creator_id}`).emit('lobby_join_request', {
+        requestId: request.id,
+        lobbyId: lobby.id,
+        user: { id: user.id, name: user.name },
+        seats,
+        timestamp: new Date()
+      });
+    }
+
+    logger.info(`User ${user.id} asked to join lobby ${lobby.id}`);
+
+    return { success: true, request };
+  }
+
+  async listPending(lobbyId) {
+    const result = await query(
+      `SELECT r.id, r.seats, r.pickup_location, r.created_at,
+              u.id as user_id, u.name, u.avatar_url, u.rating
+       FROM lobby_join_requests r
+       JOIN users u ON r.user_id = u.id
+       WHERE r.lobby_id = $1 AND r.status = 'pending'
+       ORDER BY r.created_at ASC`,
+      [lobbyId]
+    );
+
+    return result.rows;
+  }
+
+  // Only the lobby creator, or users who may manage lobbies, review requests
+  async canReview(user, lobbyId) {
+    const result = await query('SELECT creator_id FROM lobbies WHERE id = $1', [lobbyId]);
+
+    if (result.rows.length === 0) {
+      return { success: false, status: 404, message: 'Lobby not found' };
+    }
+
+    if (result.rows[0].creator_id !== user.id && !hasPermission(user.role, 'lobbies:manage')) {
+      return { success: false, status: 403, message: 'Only the lobby creator can review join requests' };
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Approve or decline a pending request. Approving books the requested seats
+   * the same way an open join does; when they are gone the request stays
+   * pending. The request is claimed and the seats booked in one transaction,
+   * so two reviewers cannot both act on it. Shared by the REST routes and the
+   * socket handlers. Returns { success, decision: 'approved' | 'declined' } or
+   * { success: false, status, message }.
+   */
+  async respond(user, lobbyId, requestId, approve, io) {
+    const access = await this.canReview(user, lobbyId);
+    if (!access.success) {
+      return access;
+    }
+
+    const decision = approve ? 'approved' : 'declined';
+    const client = await pool.connect();
+    let request;
+
+    try {
+      await client.query('BEGIN');
+
+      const claimed = await client.query(
+        `UPDATE lobby_join_requests SET status = $1, responded_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND lobby_id = $3 AND status = 'pending'
+         RETURNING id, user_id, seats, pickup_location`,
+        [decision, requestId, lobbyId]
+      );
+
+      if (claimed.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return { success: false, status: 404, message: 'Join request not found' };
+      }
+
+      request = claimed.rows[0];
+
+      if (approve) {
+        const lobby = await client.query('SELECT from_location FROM lobbies WHERE id = $1', [lobbyId]);
+        const booking = await lobbyService.bookSeats(
+          lobbyId,
+          request.user_id,
+          request.seats,
+          request.pickup_location || lobby.rows[0].from_location,
+          { client }
+        );
+
+        if (!booking.success) {
+          await client.query('ROLLBACK');
+          return booking;
+        }
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (approve) {
+      await lobbyStateMachine.syncSeats(lobbyId, { io });
+    }
+
+    if (io) {
+      io.to(`user_${request.user_id}`).emit(`lobby_join_request_${decision}`, {
+        requestId: request.id,
+        lobbyId,
+        timestamp: new Date()
+      });
+    }
+
+    logger.info(`Join request ${request.id} for lobby ${lobbyId} ${decision} by user ${user.id}`);
+
+    return { success: true, decision };
+  }
+}
+
+module.exports = new JoinRequestService();
@@ -0,0 +1,119 @@
+const { pool, query } = require('../config/database');
+const lobbyStateMachine = require('./lobbyStateMachine');
+const logger = require('../utils/logger');
+
+// How long after departure a lobby with riders may still start before it is cancelled
+const GRACE_MINUTES = parseInt(process.env.LOBBY_START_GRACE_MINUTES) || 60;
+
+class LobbyExpiryService {
+  constructor() {
+    this.graceMinutes = GRACE_MINUTES;
+  }
+
+  /**
+   * Close lobbies that are still open after departure. Lobbies nobody joined
+   * are expired as soon as they depart; lobbies with riders get GRACE_MINUTES
+   * to start and are then cancelled as a no-show. SKIP LOCKED lets several
+   * instances sweep at once without touching the same lobby. A lobby that
+   * fails is logged and skipped for the rest of the run.
+   * Returns { expired, cancelled }.
+   */
+  async sweep(io, limit = 500) {
+    const summary = { expired: 0, cancelled: 0 };
+    const skipped = [];
+
+    for (let i = 0; i < limit; i++) {
+      const client = await pool.connect();
+      let lobby = null;
+      let transition = null;
+
+      try {
+        await client.query('BEGIN');
+
+        const result = await client.query(
+          `SELECT l.id, r.rider_count
+           FROM lobbies l
+           CROSS JOIN LATERAL (
+             SELECT COUNT(*) as rider_count FROM lobby_members lm
+             WHERE lm.lobby_id = l.id AND lm.status = 'active' AND lm.user_id <> l.creator_id
+           ) r
+           WHERE l.status IN ('active', 'full')
+             AND l.departure_time < LOCALTIMESTAMP
+                 - make_interval(mins => CASE WHEN r.rider_count > 0 THEN $1 ELSE 0 END)
+             AND NOT (l.id = ANY($2::uuid[]))
+           ORDER BY l.departure_time
+           LIMIT 1
+           FOR UPDATE OF l SKIP LOCKED`,
+          [GRACE_MINUTES, skipped]
+        );
+
+        if (result.rows.length === 0) {
+          await client.query('ROLLBACK');
+          break;
+        }
+
+        lobby = result.rows[0];
+        const noShow = parseInt(lobby.rider_count) > 0;
+
+        transition = await lobbyStateMachine.transition(lobby.id, noShow ? 'cancelled' : 'expired', {
+          reason: noShow ? 'Ride never started' : 'Departure time passed',
+          client
+        });
+
+        if (!transition.success) {
+          await client.query('ROLLBACK');
+          logger.warn(`Lobby sweep skipped ${lobby.id}: ${transition.message}`);
+          skipped.push(lobby.id);
+          continue;
+        }
+
+        await client.query('COMMIT');
+        summary[noShow ? 'cancelled' : 'expired']++;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        if (!lobby) {
+          // The lobby could not even be selected, so there is nothing to skip past
+          logger.error('Lobby sweep failed:', error);
+          break;
+        }
+        logger.error(`Lobby sweep failed for ${lobby.id}:`, error);
+        skipped.push(lobby.id);
+        continue;
+      } finally {
+        client.release();
+      }
+
+      await this.notifyClosed(io, transition)
+        .catch(error => logger.error(`Lobby sweep notify failed for ${lobby.id}:`, error));
+    }
+
+    return summary;
+  }
+
+  // Tell the lobby room and every active member that the lobby was closed
+  async notifyClosed(io, transition) {
+    if (!io) return;
+
+    lobbyStateMachine.notify(io, transition);
+
+    const { lobby } = transition;
+    const members = await query(
+      'SELECT user_id FROM lobby_members WHERE lobby_id = $1 AND status = $2',
+      [lobby.id, 'active']
+    );
+
+    for (const member of members.rows) {
+      io.to(`user_${member.user_id}`).emit('lobby_closed', {
+        lobbyId: lobby.id,
+        status: transition.to,
+        reason: transition.reason,
+        fromLocation: lobby.from_location,
+        toLocation: lobby.to_location,
+        departureTime: lobby.departure_time,
+        timestamp: new Date()
+      });
+    }
+  }
+}
+
+module.exports = new LobbyExpiryService();
@@ -0,0 +1,437 @@
+const { pool, query } = require('../config/database');
+const { normalizeLobbyPreferences } = require('../config/preferences');
+const lobbyService = require('./lobbyService');
+const lobbyStateMachine = require('./lobbyStateMachine');
+const { routeBounds } = require('../utils/geo');
+const logger = require('../utils/logger');
+
+// How far ahead occurrences are generated as concrete lobbies
+const DAYS_AHEAD = parseInt(process.env.LOBBY_SERIES_DAYS_AHEAD) || 7;
+
+// Dates and times are returned as plain strings; they are wall-clock values
+const SERIES_FIELDS = `s.id, s.creator_id, s.from_location, s.to_location, s.vehicle_type,
+                       s.available_seats, s.price_per_seat, s.description, s.provides_vehicle,
+                       s.vehicle_id, s.preferences, s.days_of_week,
+                       to_char(s.departure_time, 'HH24:MI') as departure_time,
+                       to_char(s.start_date, 'YYYY-MM-DD') as start_date,
+                       to_char(s.end_date, 'YYYY-MM-DD') as end_date,
+                       s.is_active, s.created_at, s.updated_at`;
+
+class LobbySeriesService {
+  constructor() {
+    this.fields = SERIES_FIELDS;
+  }
+
+  /**
+   * Create a series from a lobby template and a weekly schedule, then generate
+   * its first occurrences. Returns { success, series, lobbyIds } or
+   * { success: false, status, message }.
+   */
+  async createSeries(user, {
+    from,
+    to,
+    vehicleType,
+    availableSeats,
+    pricePerSeat,
+    description,
+    providesVehicle = true,
+    vehicleId,
+    preferences: requestedPreferences,
+    daysOfWeek,
+    departureTime,
+    startDate,
+    endDate
+  }, io) {
+    const preferences = normalizeLobbyPreferences(requestedPreferences);
+
+    const rejection = await lobbyService.checkCreateRules(user, { providesVehicle, vehicleId, availableSeats, preferences });
+    if (rejection) {
+      return rejection;
+    }
+
+    // Every occurrence shares the template's route
+    const route = await lobbyService.fetchRoute(from.coordinates, to.coordinates);
+    const bounds = route ? routeBounds(route.geometry.coordinates) : [null, null, null, null];
+
+    const result = await query(
+      `INSERT INTO lobby_series (creator_id, from_location, to_location, from_coordinates, to_coordinates,
+                                 vehicle_type, available_seats, price_per_seat, description,
+                                 provides_vehicle, vehicle_id, preferences, route_geometry,
+                                 route_distance_m, route_duration_s, route_bbox, days_of_week,
+                                 departure_time, start_date, end_date)
+       VALUES ($1, $2, $3, POINT($4, $5), POINT($6, $7), $8, $9, $10, $11, $12, $13, $14, $15, $16, $17,
+               BOX(POINT($18, $19), POINT($20, $21)), $22, $23, COALESCE($24::date, CURRENT_DATE), $25)
+       RETURNING id`,
+      [
+        user.id,
+        from.location,
+        to.location,
+        from.coordinates[0], // longitude
+        from.coordinates[1], // latitude
+        to.coordinates[0],
+        to.coordinates[1],
+        vehicleType,
+        availableSeats,
+        pricePerSeat,
+        description,
+        providesVehicle,
+        vehicleId || null,
+        JSON.stringify(preferences),
+        route ? JSON.stringify(route.geometry) : null,
+        route ? Math.round(route.distance) : null,
+        route ? Math.round(route.duration) : null,
+        ...bounds,
+        [...new Set(daysOfWeek)].sort(),
+        departureTime,
+        startDate || null,
+        endDate || null
+      ]
+    );
+
+    const seriesId = result.rows[0].id;
+    logger.info(`Lobby series created: ${seriesId} by user ${user.id}`);
+
+    const lobbyIds = await this.generateOccurrences({ seriesId, io });
+
+    return { success: true, series: await this.getSeries(seriesId), lobbyIds };
+  }
+
+  async getSeries(seriesId) {
+    const result = await query(`SELECT ${SERIES_FIELDS} FROM lobby_series s WHERE s.id = $1`, [seriesId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create the lobbies of active series falling in the next DAYS_AHEAD days,
+   * with the creator and regular members joined. Existing occurrences and
+   * skipped dates are left alone, so the job can run as often as needed.
+   * Occurrences no longer fitting the series vehicle are not created.
+   * Returns the ids of the lobbies created.
+   */
+  async generateOccurrences({ seriesId = null, io = null } = {}) {
+    const client = await pool.connect();
+    let lobbies;
+    let joined;
+    let filled;
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO lobbies (creator_id, from_location, to_location, from_coordinates, to_coordinates,
+                              departure_time, vehicle_type, available_seats, price_per_seat, description,
+                              provides_vehicle, vehicle_id, preferences, route_geometry, route_distance_m,
+                              route_duration_s, route_bbox, series_id, occurrence_date)
+         SELECT s.creator_id, s.from_location, s.to_location, s.from_coordinates, s.to_coordinates,
+                t.departure_time, s.vehicle_type,
+                COALESCE((e.overrides->>'availableSeats')::integer, s.available_seats),
+                COALESCE((e.overrides->>'pricePerSeat')::decimal, s.price_per_seat),
+                COALESCE(e.overrides->>'description', s.description),
+                s.provides_vehicle, s.vehicle_id, s.preferences, s.route_geometry, s.route_distance_m,
+                s.route_duration_s, s.route_bbox, s.id, o.day
+         FROM lobby_series s
+         JOIN users u ON s.creator_id = u.id AND u.is_active = true
+         CROSS JOIN LATERAL (
+           SELECT d::date AS day
+           FROM generate_series(GREATEST(s.start_date, CURRENT_DATE),
+                                LEAST(s.end_date, CURRENT_DATE + $1::integer),
+                                INTERVAL '1 day') d
+         ) o
+         LEFT JOIN lobby_series_exceptions e ON e.series_id = s.id AND e.occurrence_date = o.day
+         LEFT JOIN vehicles v ON v.id = s.vehicle_id
+         CROSS JOIN LATERAL (
+           SELECT o.day + COALESCE((e.overrides->>'departureTime')::time, s.departure_time) AS departure_time
+         ) t
+         WHERE s.is_active = true
+           AND (s.vehicle_id IS NULL OR (v.is_active = true AND
+                COALESCE((e.overrides->>'availableSeats')::integer, s.available_seats) <= v.seat_capacity))
+           AND ($2::uuid IS NULL OR s.id = $2)
+           AND EXTRACT(DOW FROM o.day)::integer = ANY(s.days_of_week)
+           AND (e.action IS NULL OR e.action = 'modify')
+           AND t.departure_time > LOCALTIMESTAMP
+         ON CONFLICT (series_id, occurrence_date) DO NOTHING
+         RETURNING id`,
+        [DAYS_AHEAD, seriesId]
+      );
+
+      lobbies = result.rows.map(row => row.id);
+
+      await client.query(
+        `INSERT INTO lobby_members (lobby_id, user_id, pickup_location, seats)
+         SELECT id, creator_id, from_location, 0 FROM lobbies WHERE id = ANY($1::uuid[])`,
+        [lobbies]
+      );
+
+      joined = await this.addRegulars(client, lobbies);
+      filled = await this.markFull(client, joined);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    this.notifyJoined(io, joined);
+    filled.forEach(transition => lobbyStateMachine.notify(io, transition));
+
+    return lobbies;
+  }
+
+  /**
+   * Join regular members to the given lobbies (only `userId` when set), in the
+   * order they joined the series and while seats remain, one seat each. Users
+   * blocked by or blocking the creator are left out. Must run inside a
+   * transaction. Returns the { lobby_id, user_id } rows added.
+   */
+  async addRegulars(client, lobbyIds, userId = null) {
+    if (lobbyIds.length === 0) {
+      return [];
+    }
+
+    // Lock the lobbies so concurrent joins see the seats taken here
+    await client.query('SELECT id FROM lobbies WHERE id = ANY($1::uuid[]) FOR UPDATE', [lobbyIds]);
+
+    const result = await client.query(
+      `WITH added AS (
+         INSERT INTO lobby_members (lobby_id, user_id, pickup_location)
+         SELECT lobby_id, user_id, pickup_location FROM (
+           SELECT l.id AS lobby_id, sm.user_id, COALESCE(sm.pickup_location, l.from_location) AS pickup_location,
+                  l.available_seats - l.seats_taken AS free_seats,
+                  ROW_NUMBER() OVER (PARTITION BY l.id ORDER BY sm.created_at) AS position
+           FROM lobbies l
+           JOIN lobby_series_members sm ON sm.series_id = l.series_id
+           JOIN users u ON sm.user_id = u.id AND u.is_active = true
+           WHERE l.id = ANY($1::uuid[])
+             AND ($2::uuid IS NULL OR sm.user_id = $2)
+             AND NOT EXISTS (SELECT 1 FROM lobby_members lm WHERE lm.lobby_id = l.id AND lm.user_id = sm.user_id)
+             AND NOT EXISTS (
+               SELECT 1 FROM user_blocks ub
+               WHERE (ub.blocker_id = l.creator_id AND ub.blocked_id = sm.user_id)
+                  OR (ub.blocker_id = sm.user_id AND ub.blocked_id = l.creator_id)
+             )
+         ) regulars
+         WHERE position <= free_seats
+         ON CONFLICT (lobby_id, user_id) DO NOTHING
+         RETURNING lobby_id, user_id
+       ), counted AS (
+         UPDATE lobbies l SET seats_taken = l.seats_taken + a.seats
+         FROM (SELECT lobby_id, COUNT(*)::integer AS seats FROM added GROUP BY lobby_id) a
+         WHERE l.id = a.lobby_id
+       )
+       SELECT lobby_id, user_id FROM added`,
+      [lobbyIds, userId]
+    );
+
+    return result.rows;
+  }
+
+  // Mark lobbies whose last seats went to regulars as full; returns the transitions made
+  async markFull(client, joined, io = null) {
+    const lobbyIds = [...new Set(joined.map(member => member.lobby_id))];
+    const transitions = [];
+
+    for (const lobbyId of lobbyIds) {
+      const transition = await lobbyStateMachine.syncSeats(lobbyId, client ? { client } : { io });
+      if (transition && transition.success) {
+        transitions.push(transition);
+      }
+    }
+
+    return transitions;
+  }
+
+  notifyJoined(io, joined) {
+    if (!io) return;
+
+    for (const member of joined) {
+      io.to(`user_${member.user_id}`).emit('series_lobby_joined', { lobbyId: member.lobby_id });
+    }
+  }
+
+  // Upcoming generated lobbies of a series that are still open
+  async upcomingLobbyIds(seriesId) {
+    const result = await query(
+      `SELECT id FROM lobbies
+       WHERE series_id = $1 AND status = 'active' AND departure_time > LOCALTIMESTAMP`,
+      [seriesId]
+    );
+
+    return result.rows.map(row => row.id);
+  }
+
+  // Join a series as a regular, including its already generated lobbies
+  async joinSeries(seriesId, userId, pickupLocation, io) {
+    await query(
+      `INSERT INTO lobby_series_members (series_id, user_id, pickup_location) VALUES ($1, $2, $3)
+       ON CONFLICT (series_id, user_id) DO UPDATE SET pickup_location = EXCLUDED.pickup_location`,
+      [seriesId, userId, pickupLocation || null]
+    );
+
+    const client = await pool.connect();
+    let joined;
+
+    try {
+      await client.query('BEGIN');
+      joined = await this.addRegulars(client, await this.upcomingLobbyIds(seriesId), userId);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    this.notifyJoined(io, joined);
+    await this.markFull(null, joined, io);
+
+    return joined.map(member => member.lobby_id);
+  }
+
+  // True when the date is a scheduled, not yet past day of the series
+  async isOccurrenceDate(series, date) {
+    const result = await query(
+      `SELECT EXTRACT(DOW FROM $2::date)::integer = ANY(days_of_week)
+              AND $2::date >= GREATEST(start_date, CURRENT_DATE)
+              AND (end_date IS NULL OR $2::date <= end_date) AS scheduled
+       FROM lobby_series WHERE id = $1`,
+      [series.id, date]
+    );
+
+    return Boolean(result.rows[0] && result.rows[0].scheduled);
+  }
+
+  // Skip one occurrence; a lobby already generated for it is cancelled
+  async skipOccurrence(series, date, io) {
+    await query(
+      `INSERT INTO lobby_series_exceptions (series_id, occurrence_date, action) VALUES ($1, $2, 'skip')
+       ON CONFLICT (series_id, occurrence_date) DO UPDATE SET action = 'skip', overrides = '{}'`,
+      [series.id, date]
+    );
+
+    const result = await query(
+      `SELECT id FROM lobbies
+       WHERE series_id = $1 AND occurrence_date = $2 AND status IN ('active', 'full')`,
+      [series.id, date]
+    );
+
+    for (const lobby of result.rows) {
+      await lobbyStateMachine.transition(lobby.id, 'cancelled', {
+        actorId: series.creator_id,
+        reason: 'Occurrence skipped',
+        io
+      });
+    }
+
+    logger.info(`Lobby series ${series.id}: occurrence ${date} skipped`);
+  }
+
+  /**
+   * Change one occurrence (departureTime, availableSeats, pricePerSeat,
+   * description) without touching the series. A lobby already generated for
+   * the date is updated as well. Returns { success, lobby } or
+   * { success: false, status, message }.
+   */
+  async modifyOccurrence(user, series, date, overrides, io) {
+    const existing = await query(
+      `SELECT e.action, l.id AS lobby_id, l.status
+       FROM (SELECT $1::uuid AS series_id, $2::date AS occurrence_date) d
+       LEFT JOIN lobby_series_exceptions e USING (series_id, occurrence_date)
+       LEFT JOIN lobbies l ON l.series_id = d.series_id AND l.occurrence_date = d.occurrence_date`,
+      [series.id, date]
+    );
+    const current = existing.rows[0];
+
+    if (current.action === 'skip') {
+      return { success: false, status: 409, message: 'This occurrence was skipped' };
+    }
+
+    if (current.lobby_id && !['active', 'full'].includes(current.status)) {
+      return { success: false, status: 409, message: 'This occurrence can no longer be changed' };
+    }
+
+    // The new seat count must still fit the series vehicle
+    if (overrides.availableSeats !== undefined) {
+      const rejection = await lobbyService.checkCreateRules(user, {
+        providesVehicle: series.provides_vehicle,
+        vehicleId: series.vehicle_id,
+        availableSeats: overrides.availableSeats,
+        preferences: series.preferences
+      });
+      if (rejection) {
+        return rejection;
+      }
+    }
+
+    const client = await pool.connect();
+    let result = null;
+
+    try {
+      await client.query('BEGIN');
+
+      // Seats booked in the meantime are checked by the update itself
+      if (current.lobby_id) {
+        result = await client.query(
+          `UPDATE lobbies
+           SET departure_time = occurrence_date + COALESCE($2::time, departure_time::time),
+               available_seats = COALESCE($3, available_seats),
+               price_per_seat = COALESCE($4, price_per_seat),
+               description = COALESCE($5, description),
+               updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1 AND seats_taken <= COALESCE($3, available_seats)
+           RETURNING *`,
+          [
+            current.lobby_id,
+            overrides.departureTime || null,
+            overrides.availableSeats || null,
+            overrides.pricePerSeat !== undefined ? overrides.pricePerSeat : null,
+            overrides.description !== undefined ? overrides.description : null
+          ]
+        );
+
+        if (result.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return { success: false, status: 400, message: 'More seats are already booked on this occurrence' };
+        }
+      }
+
+      await client.query(
+        `INSERT INTO lobby_series_exceptions (series_id, occurrence_date, action, overrides)
+         VALUES ($1, $2, 'modify', $3)
+         ON CONFLICT (series_id, occurrence_date)
+         DO UPDATE SET overrides = lobby_series_exceptions.overrides || EXCLUDED.overrides`,
+        [series.id, date, JSON.stringify(overrides)]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (!result) {
+      return { success: true, lobby: null };
+    }
+
+    const lobby = result.rows[0];
+    delete lobby.route_geometry;
+    delete lobby.route_bbox;
+
+    if (io) {
+      io.to(`lobby_${lobby.id}`).emit('lobby_updated', { lobbyId: lobby.id });
+    }
+
+    // A seat change can fill the lobby or open it up again
+    const seats = await lobbyStateMachine.syncSeats(lobby.id, { io });
+    if (seats && seats.success) {
+      lobby.status = seats.to;
+    }
+
+    return { success: true, lobby };
+  }
+}
+
+module.exports = new LobbySeriesService();
@@ -0,0 +1,285 @@
+const { pool, query } = require('../config/database');
+const { normalizeLobbyPreferences, getBadges } = require('../config/preferences');
+const driverService = require('./driverService');
+const mapboxService = require('./mapboxService');
+const { routeBounds } = require('../utils/geo');
+const logger = require('../utils/logger');
+
+class LobbyService {
+  // Driving route between the endpoints, or null when directions are unavailable
+  async fetchRoute(fromCoordinates, toCoordinates) {
+    try {
+      return await mapboxService.getDirections(fromCoordinates, toCoordinates);
+    } catch (error) {
+      logger.warn(`Lobby route lookup failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Rules a user must meet to offer a lobby (or a lobby series) with these
+   * settings. Returns null when allowed, otherwise { success: false, status, message }.
+   */
+  async checkCreateRules(user, { providesVehicle, vehicleId, availableSeats, preferences }) {
+    // Lobbies where the creator brings the vehicle need an approved driver
+    if (providesVehicle && user.role !== 'admin' && !(await driverService.isApprovedDriver(user.id))) {
+      return { success: false, status: 403, message: 'Only approved drivers can create lobbies that provide a vehicle' };
+    }
+
+    if (preferences.womenOnly) {
+      const creator = await query('SELECT gender FROM users WHERE id = $1', [user.id]);
+
+      if (creator.rows[0].gender !== 'female') {
+        return { success: false, status: 403, message: 'Only women can create women-only lobbies' };
+      }
+    }
+
+    // The vehicle must belong to the creator and have room for the offered seats
+    if (vehicleId) {
+      if (!providesVehicle) {
+        return { success: false, status: 400, message: 'A vehicle can only be attached to lobbies that provide one' };
+      }
+
+      const vehicleResult = await query(
+        'SELECT seat_capacity FROM vehicles WHERE id = $1 AND owner_id = $2 AND is_active = true',
+        [vehicleId, user.id]
+      );
+
+      if (vehicleResult.rows.length === 0) {
+        return { success: false, status: 400, message: 'Vehicle not found or inactive' };
+      }
+
+      if (parseInt(availableSeats) > vehicleResult.rows[0].seat_capacity) {
+        return {
+          success: false,
+          status: 400,
+          message: `This vehicle only has ${vehicleResult.rows[0].seat_capacity} passenger seats`
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Create a lobby with the creator as its first member. `from` and `to` are
+   * resolved endpoints ({ location, coordinates: [longitude, latitude] }).
+   * Returns { success, lobby } or { success: false, status, message }.
+   */
+  async createLobby(user, {
+    from,
+    to,
+    departureTime,
+    vehicleType,
+    availableSeats,
+    pricePerSeat,
+    description,
+    providesVehicle = true,
+    vehicleId,
+    preferences: requestedPreferences,
+    joinPolicy = 'open'
+  }) {
+    const preferences = normalizeLobbyPreferences(requestedPreferences);
+
+    const rejection = await this.checkCreateRules(user, { providesVehicle, vehicleId, availableSeats, preferences });
+    if (rejection) {
+      return rejection;
+    }
+
+    // The route geometry is used for corridor matching; lobbies without one
+    // can still be found by location
+    const route = await this.fetchRoute(from.coordinates, to.coordinates);
+    const bounds = route ? routeBounds(route.geometry.coordinates) : [null, null, null, null];
+
+    const result = await query(
+      `INSERT INTO lobbies (creator_id, from_location, to_location, from_coordinates,
+                           to_coordinates, departure_time, vehicle_type, available_seats,
+                           price_per_seat, description, provides_vehicle, vehicle_id, preferences,
+                           route_geometry, route_distance_m, route_duration_s, route_bbox, join_policy)
+       VALUES ($1, $2, $3, POINT($4, $5), POINT($6, $7), $8, $9, $10, $11, $12, $13, $14, $15,
+               $16, $17, $18, BOX(POINT($19, $20), POINT($21, $22)), $23)
+       RETURNING *`,
+      [
+        user.id,
+        from.location,
+        to.location,
+        from.coordinates[0], // longitude
+        from.coordinates[1], // latitude
+        to.coordinates[0],
+        to.coordinates[1],
+        departureTime,
+        vehicleType,
+        availableSeats,
+        pricePerSeat,
+        description,
+        providesVehicle,
+        vehicleId || null,
+        JSON.stringify(preferences),
+        route ? JSON.stringify(route.geometry) : null,
+        route ? Math.round(route.distance) : null,
+        route ? Math.round(route.duration) : null,
+        ...bounds,
+        joinPolicy
+      ]
+    );
+
+    const lobby = result.rows[0];
+    lobby.badges = getBadges(lobby.preferences);
+
+    // Add creator as first member; the creator does not take a passenger seat
+    await query(
+      'INSERT INTO lobby_members (lobby_id, user_id, pickup_location, seats) VALUES ($1, $2, $3, 0)',
+      [lobby.id, user.id, from.location]
+    );
+    lobby.remaining_seats = lobby.available_seats - lobby.seats_taken;
+
+    logger.info(`Lobby created: ${lobby.id} by user ${user.id}`);
+
+    return { success: true, lobby };
+  }
+
+  /**
+   * Book `seats` passenger seats in an active lobby for a new member. The seat
+   * counter is updated under the lobby's row lock, so concurrent bookings can
+   * never take more than available_seats. Runs inside `client` when given (the
+   * caller commits, or rolls back on failure); otherwise in its own transaction.
+   * Returns { success, remainingSeats } or { success: false, status, message }.
+   */
+  async bookSeats(lobbyId, userId, seats, pickupLocation, { client } = {}) {
+    if (client) {
+      return this.applyBooking(client, lobbyId, userId, seats, pickupLocation);
+    }
+
+    const ownClient = await pool.connect();
+
+    try {
+      await ownClient.query('BEGIN');
+      const result = await this.applyBooking(ownClient, lobbyId, userId, seats, pickupLocation);
+      await ownClient.query(result.success ? 'COMMIT' : 'ROLLBACK');
+      return result;
+    } catch (error) {
+      await ownClient.query('ROLLBACK');
+      throw error;
+    } finally {
+      ownClient.release();
+    }
+  }
+
+  async applyBooking(client, lobbyId, userId, seats, pickupLocation) {
+    const booked = await client.query(
+      `UPDATE lobbies SET seats_taken = seats_taken + $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'active' AND seats_taken + $2 <= available_seats
+       RETURNING available_seats - seats_taken as remaining_seats`,
+      [lobbyId, seats]
+    );
+
+    if (booked.rows.length === 0) {
+      return {
+        success: false,
+        status: 400,
+        message: seats > 1 ? 'Not enough seats left in this lobby' : 'Lobby is full'
+      };
+    }
+
+    // A second join from the same user loses the race here; the seats go back on rollback
+    const member = await client.query(
+      `INSERT INTO lobby_members (lobby_id, user_id, pickup_location, seats) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (lobby_id, user_id) DO NOTHING
+       RETURNING id`,
+      [lobbyId, userId, pickupLocation, seats]
+    );
+
+    if (member.rows.length === 0) {
+      return { success: false, status: 400, message: 'You are already a member of this lobby' };
+    }
+
+    await client.query(
+      `UPDATE lobby_invitations SET status = 'accepted', responded_at = CURRENT_TIMESTAMP
+       WHERE lobby_id = $1 AND invitee_id = $2 AND status = 'pending'`,
+      [lobbyId, userId]
+    );
+
+    return { success: true, remainingSeats: booked.rows[0].remaining_seats };
+  }
+
+  /**
+   * Mark an active member as left, or as removed when a removal reason is
+   * given, and give their seats back. Returns false when not an active member.
+   */
+  async releaseSeats(lobbyId, userId, { removalReason } = {}) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const member = await client.query(
+        `UPDATE lobby_members
+         SET status = $3, removal_reason = $4, removed_at = CASE WHEN $4::text IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END
+         WHERE lobby_id = $1 AND user_id = $2 AND status = 'active'
+         RETURNING seats`,
+        [lobbyId, userId, removalReason ? 'removed' : 'left', removalReason || null]
+      );
+
+      if (member.rows.length > 0) {
+        await client.query(
+          'UPDATE lobbies SET seats_taken = seats_taken - $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+          [lobbyId, member.rows[0].seats]
+        );
+      }
+
+      await client.query('COMMIT');
+
+      return member.rows.length > 0;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Invite the inviter's favorites to a lobby through their user rooms.
+   * Users who are not favorites, or where either side blocked the other, are
+   * skipped. Returns the ids of the users invited.
+   */
+  async inviteFavorites(lobby, inviter, userIds, io) {
+    if (userIds.length === 0) {
+      return [];
+    }
+
+    const result = await query(
+      `INSERT INTO lobby_invitations (lobby_id, inviter_id, invitee_id)
+       SELECT $1, $2, f.favorite_user_id
+       FROM favorite_riders f
+       WHERE f.user_id = $2 AND f.favorite_user_id = ANY($3::uuid[])
+         AND NOT EXISTS (
+           SELECT 1 FROM user_blocks ub
+           WHERE (ub.blocker_id = $2 AND ub.blocked_id = f.favorite_user_id)
+              OR (ub.blocker_id = f.favorite_user_id AND ub.blocked_id = $2)
+         )
+       ON CONFLICT (lobby_id, invitee_id) DO NOTHING
+       RETURNING id, invitee_id`,
+      [lobby.id, inviter.id, userIds]
+    );
+
+    if (io) {
+      for (const invitation of result.rows) {
+        io.to(`user_${invitation.invitee_id}`).emit('lobby_invitation', {
+          invitationId: invitation.id,
+          lobby: {
+            id: lobby.id,
+            fromLocation: lobby.from_location,
+            toLocation: lobby.to_location,
+            departureTime: lobby.departure_time
+          },
+          invitedBy: { id: inviter.id, name: inviter.name }
+        });
+      }
+    }
+
+    return result.rows.map(invitation => invitation.invitee_id);
+  }
+}
+
+module.exports = new LobbyService();
@@ -0,0 +1,211 @@
+const { pool, query } = require('../config/database');
+const { hasPermission } = require('../config/roles');
+const logger = require('../utils/logger');
+
+// A ride may be started at most this long before its departure time
+const START_WINDOW_MINUTES = parseInt(process.env.LOBBY_START_WINDOW_MINUTES) || 30;
+
+// Allowed moves between lobby statuses; completed, cancelled and expired are final
+const TRANSITIONS = {
+  active: ['full', 'started', 'cancelled', 'expired'],
+  full: ['active', 'started', 'cancelled', 'expired'],
+  started: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: [],
+  expired: []
+};
+
+// Conditions checked against the locked lobby row; each returns an error message or null
+const GUARDS = {
+  active: lobby => (lobby.seats_taken >= lobby.available_seats ? 'Lobby has no free seats' : null),
+  full: lobby => (lobby.seats_taken < lobby.available_seats ? 'Lobby still has free seats' : null),
+  started: lobby => (parseFloat(lobby.minutes_to_departure) > START_WINDOW_MINUTES
+    ? `Ride cannot start more than ${START_WINDOW_MINUTES} minutes before departure`
+    : null),
+  expired: lobby => (parseFloat(lobby.minutes_to_departure) > 0 ? 'Lobby has not departed yet' : null)
+};
+
+class LobbyStateMachine {
+  constructor() {
+    this.statuses = Object.keys(TRANSITIONS);
+  }
+
+  canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Move a lobby to `to`, checking the transition and its guard and recording
+   * it in lobby_status_history. `actorId` is null for system transitions.
+   * Runs inside `client` when given (the caller commits and calls notify);
+   * otherwise in its own transaction, notifying through `io` after commit.
+   * Returns { success, lobby, from, to, reason } or { success: false, status, message }.
+   */
+  async transition(lobbyId, to, { actorId = null, reason = null, client, io } = {}) {
+    if (client) {
+      return this.apply(client, lobbyId, to, actorId, reason);
+    }
+
+    const ownClient = await pool.connect();
+    let result;
+
+    try {
+      await ownClient.query('BEGIN');
+      result = await this.apply(ownClient, lobbyId, to, actorId, reason);
+      await ownClient.query(result.success ? 'COMMIT' : 'ROLLBACK');
+    } catch (error) {
+      await ownClient.query('ROLLBACK');
+      throw error;
+    } finally {
+      ownClient.release();
+    }
+
+    this.notify(io, result);
+
+    return result;
+  }
+
+  async apply(client, lobbyId, to, actorId, reason) {
+    const lobbyResult = await client.query(
+      `SELECT l.*,
+              EXTRACT(EPOCH FROM (l.departure_time - LOCALTIMESTAMP)) / 60 as minutes_to_departure
+       FROM lobbies l
+       WHERE l.id = $1
+       FOR UPDATE OF l`,
+      [lobbyId]
+    );
+
+    if (lobbyResult.rows.length === 0) {
+      return { success: false, status: 404, message: 'Lobby not found' };
+    }
+
+    const lobby = lobbyResult.rows[0];
+    const from = lobby.status;
+
+    if (!this.canTransition(from, to)) {
+      return { success: false, status: 409, message: `Lobby cannot move from ${from} to ${to}` };
+    }
+
+    const guardMessage = GUARDS[to] ? GUARDS[to](lobby) : null;
+
+    if (guardMessage) {
+      return { success: false, status: 409, message: guardMessage };
+    }
+
+    const updated = await client.query(
+      'UPDATE lobbies SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+      [to, lobbyId]
+    );
+
+    await client.query(
+      `INSERT INTO lobby_status_history (lobby_id, from_status, to_status, changed_by, reason)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [lobbyId, from, to, actorId, reason]
+    );
+
+    logger.info(`Lobby ${lobbyId} status ${from} -> ${to}${actorId ? ` by user ${actorId}` : ''}`);
+
+    return { success: true, lobby: updated.rows[0], from, to, actorId, reason };
+  }
+
+  /**
+   * Status change requested by a user through REST or a socket. Only the
+   * lobby creator, or users who may manage lobbies, can change it.
+   */
+  async request(user, lobbyId, to, { reason, io } = {}) {
+    if (!this.statuses.includes(to)) {
+      return { success: false, status: 400, message: 'Invalid status' };
+    }
+
+    const client = await pool.connect();
+    let result;
+
+    try {
+      await client.query('BEGIN');
+
+      const owner = await client.query('SELECT creator_id FROM lobbies WHERE id = $1', [lobbyId]);
+
+      if (owner.rows.length === 0) {
+        result = { success: false, status: 404, message: 'Lobby not found' };
+      } else if (owner.rows[0].creator_id !== user.id && !hasPermission(user.role, 'lobbies:manage')) {
+        result = { success: false, status: 403, message: 'Only lobby creator can update status' };
+      } else {
+        result = await this.apply(client, lobbyId, to, user.id, reason || null);
+      }
+
+      await client.query(result.success ? 'COMMIT' : 'ROLLBACK');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (result.success) {
+      result.updatedBy = user.name;
+    }
+
+    this.notify(io, result);
+
+    return result;
+  }
+
+  /**
+   * Mark a lobby full once every seat is taken, and open it again when a
+   * seat frees up. Does nothing for lobbies in any other state.
+   */
+  async syncSeats(lobbyId, { client, io } = {}) {
+    const run = client ? client.query.bind(client) : query;
+    const result = await run(
+      'SELECT status, available_seats, seats_taken FROM lobbies WHERE id = $1',
+      [lobbyId]
+    );
+    const lobby = result.rows[0];
+
+    if (!lobby) {
+      return null;
+    }
+
+    const isFull = lobby.seats_taken >= lobby.available_seats;
+
+    if (lobby.status === 'active' && isFull) {
+      return this.transition(lobbyId, 'full', { client, io });
+    }
+
+    if (lobby.status === 'full' && !isFull) {
+      return this.transition(lobbyId, 'active', { client, io });
+    }
+
+    return null;
+  }
+
+  // Tell the lobby room about a successful transition
+  notify(io, result) {
+    if (!io || !result || !result.success) return;
+
+    io.to(`lobby_${result.lobby.id}`).emit('lobby_status_changed', {
+      lobbyId: result.lobby.id,
+      status: result.to,
+      previousStatus: result.from,
+      updatedBy: result.updatedBy || null,
+      reason: result.reason,
+      timestamp: new Date()
+    });
+  }
+
+  async getHistory(lobbyId) {
+    const result = await query(
+      `SELECT h.from_status, h.to_status, h.reason, h.created_at,
+              h.changed_by, u.name as changed_by_name
+       FROM lobby_status_history h
+       LEFT JOIN users u ON h.changed_by = u.id
+       WHERE h.lobby_id = $1
+       ORDER BY h.created_at ASC`,
+      [lobbyId]
+    );
+
+    return result.rows;
+  }
+}
+
+module.exports = new LobbyStateMachine();
@@ -0,0 +1,195 @@
+const { getRedisClient, isRedisReady } = require('../config/redis');
+const logger = require('../utils/logger');
+
+const FAILURE_WINDOW_SECONDS = parseInt(process.env.LOGIN_FAILURE_WINDOW_SECONDS) || 15 * 60;
+const MAX_ATTEMPTS_PER_PHONE = parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_PHONE) || 5;
+const MAX_ATTEMPTS_PER_IP = parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20;
+const LOCKOUT_BASE_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 60;
+const LOCKOUT_MAX_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 60 * 60;
+
+// In-process fallback used when Redis is unavailable. Counters are then per
+// instance, which weakens protection behind a load balancer but keeps login working.
+const memoryStore = new Map();
+
+const memoryGet = (key) => {
+  const entry = memoryStore.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    memoryStore.delete(key);
+    return null;
+  }
+  return entry;
+};
+
+const pruneMemoryStore = () => {
+  if (memoryStore.size < 10000) return;
+  const now = Date.now();
+  for (const [key, entry] of memoryStore) {
+    if (entry.expiresAt <= now) memoryStore.delete(key);
+  }
+};
+
+class LoginThrottleService {
+  constructor() {
+    this.degradedWarned = false;
+  }
+
+  useRedis() {
+    if (isRedisReady()) {
+      this.degradedWarned = false;
+      return true;
+    }
+
+    if (!this.degradedWarned) {
+      logger.warn('⚠️  Redis unavailable, login throttling running in degraded in-memory mode');
+      this.degradedWarned = true;
+    }
+    return false;
+  }
+
+  async increment(key, ttlSeconds) {
+    if (this.useRedis()) {
+      try {
+        const client = getRedisClient();
+        const count = await client.incr(key);
+        if (count === 1) {
+          await client.expire(key, ttlSeconds);
+        }
+        return count;
+      } catch (error) {
+        logger.error('Login throttle increment error:', error);
+      }
+    }
+
+    pruneMemoryStore();
+    const entry = memoryGet(key) || { value: 0, expiresAt: Date.now() + ttlSeconds * 1000 };
+    entry.value += 1;
+    memoryStore.set(key, entry);
+    return entry.value;
+  }
+
+  // Keep a counter alive for at least the given time
+  async extend(key, ttlSeconds) {
+    if (this.useRedis()) {
+      try {
+        await getRedisClient().expire(key, ttlSeconds);
+        return;
+      } catch (error) {
+        logger.error('Login throttle extend error:', error);
+      }
+    }
+
+    const entry = memoryGet(key);
+    if (entry) {
+      entry.expiresAt = Math.max(entry.expiresAt, Date.now() + ttlSeconds * 1000);
+    }
+  }
+
+  async setLock(key, seconds) {
+    if (this.useRedis()) {
+      try {
+        await getRedisClient().setEx(key, seconds, '1');
+        return;
+      } catch (error) {
+        logger.error('Login throttle lock error:', error);
+      }
+    }
+
+    memoryStore.set(key, { value: 1, expiresAt: Date.now() + seconds * 1000 });
+  }
+
+  // Seconds left on a lock, 0 when not locked
+  async lockTtl(key) {
+    if (this.useRedis()) {
+      try {
+        const ttl = await getRedisClient().ttl(key);
+        return ttl > 0 ? ttl : 0;
+      } catch (error) {
+        logger.error('Login throttle ttl error:', error);
+      }
+    }
+
+    const entry = memoryGet(key);
+    return entry ? Math.ceil((entry.expiresAt - Date.now()) / 1000) : 0;
+  }
+
+  async clear(keys) {
+    if (this.useRedis()) {
+      try {
+        await getRedisClient().del(keys);
+      } catch (error) {
+        logger.error('Login throttle clear error:', error);
+      }
+    }
+
+    keys.forEach(key => memoryStore.delete(key));
+  }
+
+  keys(kind, value) {
+    return {
+      failures: `login_fail:${kind}:${value}`,
+      lock: `login_lock:${kind}:${value}`
+    };
+  }
+
+  // Lock length doubles with every failure past the threshold
+  lockDuration(failures, threshold) {
+    const exponent = Math.max(0, failures - threshold);
+    return Math.min(LOCKOUT_BASE_SECONDS * 2 ** exponent, LOCKOUT_MAX_SECONDS);
+  }
+
+  // Resolves to { locked, retryAfter } for the phone/IP pair
+  async check(phone, ip) {
+    const [phoneTtl, ipTtl] = await Promise.all([
+      this.lockTtl(this.keys('phone', phone).lock),
+      this.lockTtl(this.keys('ip', ip).lock)
+    ]);
+
+    const retryAfter = Math.max(phoneTtl, ipTtl);
+    return { locked: retryAfter > 0, retryAfter };
+  }
+
+  async recordFailure(phone, ip) {
+    const targets = [
+      { kind: 'phone', value: phone, threshold: MAX_ATTEMPTS_PER_PHONE },
+      { kind: 'ip', value: ip, threshold: MAX_ATTEMPTS_PER_IP }
+    ];
+
+    let retryAfter = 0;
+
+    for (const target of targets) {
+      const keys = this.keys(target.kind, target.value);
+      const failures = await this.increment(keys.failures, FAILURE_WINDOW_SECONDS);
+
+      if (failures >= target.threshold) {
+        const duration = this.lockDuration(failures, target.threshold);
+        await this.setLock(keys.lock, duration);
+        // Remember the failures past the lock so the next lock grows
+        await this.extend(keys.failures, duration + FAILURE_WINDOW_SECONDS);
+        retryAfter = Math.max(retryAfter, duration);
+        logger.warn(`Login locked for ${target.kind} ${target.value} for ${duration}s after ${failures} failed attempts`);
+      }
+    }
+
+    return { locked: retryAfter > 0, retryAfter };
+  }
+
+  // A successful login resets the phone's counter; the IP counter keeps running
+  async recordSuccess(phone) {
+    await this.clear([this.keys('phone', phone).failures]);
+  }
+
+  async unlockPhone(phone, unlockedBy) {
+    const keys = this.keys('phone', phone);
+    await this.clear([keys.failures, keys.lock]);
+    logger.info(`Login unlocked for phone ${phone}${unlockedBy ? ` by ${unlockedBy}` : ''}`);
+  }
+
+  async unlockIp(ip, unlockedBy) {
+    const keys = this.keys('ip', ip);
+    await this.clear([keys.failures, keys.lock]);
+    logger.info(`Login unlocked for ip ${ip}${unlockedBy ? ` by ${unlockedBy}` : ''}`);
+  }
+}
+
+module.exports = new LoginThrottleService();
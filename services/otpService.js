@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const { isRedisReady, setCache, getCache, deleteCache, incrementCache } = require('../config/redis');
+const logger = require('../utils/logger');
+
+const OTP_LENGTH = parseInt(process.env.OTP_LENGTH) || 6;
+const OTP_TTL_SECONDS = parseInt(process.env.OTP_TTL_SECONDS) || 5 * 60;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+
+class OtpService {
+  // Numeric code of OTP_LENGTH digits, zero padded
+  generateCode() {
+    return crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+  }
+
+  hashCode(phone, purpose, code) {
+    return crypto
+      .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+      .update(`${purpose}:${phone}:${code}`)
+      .digest('hex');
+  }
+
+  cacheKey(phone, purpose) {
+    return `otp:${purpose}:${phone}`;
+  }
+
+  // Attempts live in their own counter so they can be incremented atomically
+  attemptsKey(phone, purpose) {
+    return `otp_attempts:${purpose}:${phone}`;
+  }
+
+  async loadRecord(phone, purpose) {
+    if (isRedisReady()) {
+      return getCache(this.cacheKey(phone, purpose));
+    }
+
+    const result = await query(
+      'SELECT code_hash, attempts, expires_at, last_sent_at FROM otp_codes WHERE phone = $1 AND purpose = $2',
+      [phone, purpose]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const row = result.rows[0];
+    return {
+      codeHash: row.code_hash,
+      attempts: row.attempts,
+      expiresAt: new Date(row.expires_at).getTime(),
+      lastSentAt: new Date(row.last_sent_at).getTime()
+    };
+  }
+
+  async saveRecord(phone, purpose, record) {
+    const ttlSeconds = Math.ceil((record.expiresAt - Date.now()) / 1000);
+
+    if (isRedisReady()) {
+      await deleteCache(this.attemptsKey(phone, purpose));
+      if (await setCache(this.cacheKey(phone, purpose), record, ttlSeconds)) {
+        return;
+      }
+    }
+
+    await query(
+      `INSERT INTO otp_codes (phone, purpose, code_hash, attempts, expires_at, last_sent_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (phone, purpose) DO UPDATE
+       SET code_hash = EXCLUDED.code_hash, attempts = EXCLUDED.attempts,
+           expires_at = EXCLUDED.expires_at, last_sent_at = EXCLUDED.last_sent_at`,
+      [phone, purpose, record.codeHash, record.attempts, new Date(record.expiresAt), new Date(record.lastSentAt)]
+    );
+  }
+
+  async clearRecord(phone, purpose) {
+    // The attempts counter is kept until it expires or a new code is issued, so
+    // guesses that loaded the record before it was cleared still count against it
+    if (isRedisReady()) {
+      await deleteCache(this.cacheKey(phone, purpose));
+    }
+
+    await query(
+      'DELETE FROM otp_codes WHERE phone = $1 AND purpose = $2',
+      [phone, purpose]
+    );
+  }
+
+  // Count an attempt and return the new total, without a read-modify-write race
+  async addAttempt(phone, purpose, record) {
+    if (isRedisReady()) {
+      const ttlSeconds = Math.max(1, Math.ceil((record.expiresAt - Date.now()) / 1000));
+      const attempts = await incrementCache(this.attemptsKey(phone, purpose), ttlSeconds);
+      if (attempts !== null) {
+        return attempts;
+      }
+    }
+
+    const result = await query(
+      `UPDATE otp_codes SET attempts = attempts + 1
+       WHERE phone = $1 AND purpose = $2
+       RETURNING attempts`,
+      [phone, purpose]
+    );
+
+    // A code whose attempts cannot be counted (e.g. cleared meanwhile) is treated as used up
+    return result.rows.length > 0 ? result.rows[0].attempts : OTP_MAX_ATTEMPTS + 1;
+  }
+
+  // Create and store a new code, honouring the resend cooldown
+  async issue(phone, purpose) {
+    const existing = await this.loadRecord(phone, purpose);
+    const now = Date.now();
+
+    if (existing && existing.expiresAt > now) {
+      const nextAllowedAt = existing.lastSentAt + OTP_RESEND_COOLDOWN_SECONDS * 1000;
+      if (nextAllowedAt > now) {
+        return {
+          success: false,
+          reason: 'cooldown',
+          retryAfter: Math.ceil((nextAllowedAt - now) / 1000)
+        };
+      }
+    }
+
+    const code = this.generateCode();
+
+    await this.saveRecord(phone, purpose, {
+      codeHash: this.hashCode(phone, purpose, code),
+      attempts: 0,
+      expiresAt: now + OTP_TTL_SECONDS * 1000,
+      lastSentAt: now
+    });
+
+    logger.info(`OTP issued for ${purpose} to ${phone}`);
+
+    return {
+      success: true,
+      code,
+      expiresIn: OTP_TTL_SECONDS
+    };
+  }
+
+  // Check a submitted code; the record is consumed on success or when attempts run out.
+  // The attempt is counted before the code is compared, so parallel guesses
+  // cannot get past the limit.
+  async verify(phone, purpose, code) {
+    const record = await this.loadRecord(phone, purpose);
+
+    if (!record) {
+      return { success: false, reason: 'not_found' };
+    }
+
+    if (record.expiresAt <= Date.now()) {
+      await this.clearRecord(phone, purpose);
+      return { success: false, reason: 'expired' };
+    }
+
+    const attempts = await this.addAttempt(phone, purpose, record);
+
+    if (attempts > OTP_MAX_ATTEMPTS) {
+      await this.clearRecord(phone, purpose);
+      return { success: false, reason: 'too_many_attempts' };
+    }
+
+    const expected = Buffer.from(record.codeHash, 'hex');
+    const actual = Buffer.from(this.hashCode(phone, purpose, String(code)), 'hex');
+
+    if (expected.length === actual.length && crypto.timingSafeEqual(expected, actual)) {
+      await this.clearRecord(phone, purpose);
+      return { success: true };
+    }
+
+    const attemptsRemaining = OTP_MAX_ATTEMPTS - attempts;
+
+    if (attemptsRemaining <= 0) {
+      await this.clearRecord(phone, purpose);
+      logger.warn(`OTP attempts exhausted for ${purpose} on ${phone}`);
+      return { success: false, reason: 'too_many_attempts' };
+    }
+
+    return { success: false, reason: 'invalid', attemptsRemaining };
+  }
+}
+
+module.exports = new OtpService();
@@ -0,0 +1,67 @@
+const { query } = require('../config/database');
+const mapboxService = require('./mapboxService');
+
+const PLACE_FIELDS = `id, label, type, address, coordinates[0] as longitude, coordinates[1] as latitude,
+                      created_at, updated_at`;
+
+class PlaceService {
+  constructor() {
+    this.fields = PLACE_FIELDS;
+  }
+
+  /**
+   * Fill in whatever is missing: coordinates for an address (geocoding) or an
+   * address for coordinates (reverse geocoding). Returns null when unresolvable.
+   */
+  async resolveLocation({ address, latitude, longitude }) {
+    const hasCoordinates = latitude !== undefined && longitude !== undefined;
+
+    if (address && hasCoordinates) {
+      return { address, longitude: parseFloat(longitude), latitude: parseFloat(latitude) };
+    }
+
+    if (address) {
+      const results = await mapboxService.geocodeAddress(address);
+      if (!results) {
+        return null;
+      }
+      return { address, longitude: results[0].coordinates[0], latitude: results[0].coordinates[1] };
+    }
+
+    if (hasCoordinates) {
+      const result = await mapboxService.reverseGeocode(parseFloat(longitude), parseFloat(latitude));
+      if (!result) {
+        return null;
+      }
+      return { address: result.name.slice(0, 255), longitude: parseFloat(longitude), latitude: parseFloat(latitude) };
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve one end of a lobby from a saved place (no geocoding call) or free text.
+   * Returns { location, coordinates: [longitude, latitude] } or null.
+   */
+  async resolveLobbyEndpoint(userId, placeId, text) {
+    if (placeId) {
+      const place = await this.getPlace(userId, placeId);
+      return place ? { location: place.address, coordinates: [place.longitude, place.latitude] } : null;
+    }
+
+    const results = await mapboxService.geocodeAddress(text);
+    return results ? { location: text, coordinates: results[0].coordinates } : null;
+  }
+
+  // A place owned by the user, or null
+  async getPlace(userId, placeId) {
+    const result = await query(
+      `SELECT ${PLACE_FIELDS} FROM saved_places WHERE id = $1 AND user_id = $2`,
+      [placeId, userId]
+    );
+
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = new PlaceService();
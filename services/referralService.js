@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+// No 0/O or 1/I so codes can be read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const REFERRER_REWARD = parseFloat(process.env.REFERRAL_REFERRER_REWARD) || 5;
+const REFEREE_REWARD = parseFloat(process.env.REFERRAL_REFEREE_REWARD) || 5;
+const DAILY_LIMIT = parseInt(process.env.REFERRAL_DAILY_LIMIT) || 10;
+const MAX_REWARDS = parseInt(process.env.REFERRAL_MAX_REWARDS) || 50;
+// Phone numbers equal except for these trailing digits count as the same owner
+const PHONE_SUFFIX_DIGITS = parseInt(process.env.REFERRAL_PHONE_SUFFIX_DIGITS) || 3;
+
+const phonePrefix = (phone) => phone.replace(/\D/g, '').slice(0, -PHONE_SUFFIX_DIGITS);
+
+class ReferralService {
+  generateCode() {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+      code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    return code;
+  }
+
+  // The user's referral code, created on first use
+  async assignCode(userId) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      try {
+        const result = await query(
+          `UPDATE users SET referral_code = COALESCE(referral_code, $1)
+           WHERE id = $2
+           RETURNING referral_code`,
+          [this.generateCode(), userId]
+        );
+        return result.rows[0].referral_code;
+      } catch (error) {
+        // Retry on a code collision
+        if (error.code !== '23505') throw error;
+      }
+    }
+
+    throw new Error('Could not generate a unique referral code');
+  }
+
+  async findReferrer(code) {
+    const result = await query(
+      'SELECT id, phone FROM users WHERE referral_code = $1 AND is_active = true',
+      [code.toUpperCase()]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Why a referral should not earn rewards, or null when it looks genuine
+  async checkFraud(referrer, referee, deviceId) {
+    if (referrer.id === referee.id) {
+      return 'self_referral';
+    }
+
+    if (phonePrefix(referrer.phone) === phonePrefix(referee.phone)) {
+      return 'same_phone_prefix';
+    }
+
+    // A device the referrer signed in on, or one already used by another of their referees
+    if (deviceId) {
+      const device = await query(
+        `SELECT 1 FROM user_sessions WHERE user_id = $1 AND device_info->>'deviceId' = $2
+         UNION ALL
+         SELECT 1 FROM referrals WHERE referrer_id = $1 AND device_id = $2
+         LIMIT 1`,
+        [referrer.id, deviceId]
+      );
+
+      if (device.rows.length > 0) {
+        return 'same_device';
+      }
+    }
+
+    const recent = await query(
+      `SELECT COUNT(*) FROM referrals
+       WHERE referrer_id = $1 AND created_at > CURRENT_TIMESTAMP - INTERVAL '1 day'`,
+      [referrer.id]
+    );
+
+    if (parseInt(recent.rows[0].count) >= DAILY_LIMIT) {
+      return 'daily_limit';
+    }
+
+    return null;
+  }
+
+  // Link a newly registered user to their referrer. Suspicious referrals are
+  // recorded as rejected so they never pay out.
+  async recordReferral(referrer, referee, code, deviceInfo = {}) {
+    const deviceId = deviceInfo.deviceId || null;
+    const rejectionReason = await this.checkFraud(referrer, referee, deviceId);
+
+    await query(
+      `INSERT INTO referrals (referrer_id, referee_id, code, status, rejection_reason, device_id)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (referee_id) DO NOTHING`,
+      [referrer.id, referee.id, code.toUpperCase(), rejectionReason ? 'rejected' : 'pending', rejectionReason, deviceId]
+    );
+
+    if (rejectionReason) {
+      logger.warn(`Referral of user ${referee.id} by ${referrer.id} rejected: ${rejectionReason}`);
+    }
+  }
+
+  /**
+   * Grant rewards for referees among `userIds` (everyone on the ride, driver
+   * included) completing their first real ride: someone other than the
+   * referee and their referrer must have been on it. Solo rides and rides
+   * shared only with the referrer leave the referral pending. Runs inside the
+   * ride completion transaction; returns the rewarded referrals.
+   */
+  async rewardFirstRide(client, userIds, rideId) {
+    const pending = await client.query(
+      `SELECT id, referrer_id, referee_id FROM referrals
+       WHERE referee_id = ANY($1::uuid[]) AND status = 'pending'
+       FOR UPDATE`,
+      [userIds]
+    );
+
+    const rewarded = [];
+
+    for (const referral of pending.rows) {
+      const others = userIds.filter(id => id !== referral.referee_id && id !== referral.referrer_id);
+
+      if (others.length === 0) {
+        continue;
+      }
+
+      // Lock the referrer so concurrent completions cannot exceed the cap
+      await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [referral.referrer_id]);
+
+      const count = await client.query(
+        'SELECT COUNT(*) FROM referrals WHERE referrer_id = $1 AND status = $2',
+        [referral.referrer_id, 'rewarded']
+      );
+
+      if (parseInt(count.rows[0].count) >= MAX_REWARDS) {
+        await client.query(
+          `UPDATE referrals SET status = 'rejected', rejection_reason = 'reward_limit', ride_id = $2
+           WHERE id = $1`,
+          [referral.id, rideId]
+        );
+        continue;
+      }
+
+      await client.query(
+        `UPDATE referrals
+         SET status = 'rewarded', referrer_reward = $2, referee_reward = $3, ride_id = $4,
+             rewarded_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [referral.id, REFERRER_REWARD, REFEREE_REWARD, rideId]
+      );
+
+      await client.query(
+        'UPDATE users SET referral_credit = referral_credit + $2 WHERE id = $1',
+        [referral.referrer_id, REFERRER_REWARD]
+      );
+      await client.query(
+        'UPDATE users SET referral_credit = referral_credit + $2 WHERE id = $1',
+        [referral.referee_id, REFEREE_REWARD]
+      );
+
+      rewarded.push({
+        referrerId: referral.referrer_id,
+        refereeId: referral.referee_id,
+        referrerReward: REFERRER_REWARD,
+        refereeReward: REFEREE_REWARD
+      });
+    }
+
+    return rewarded;
+  }
+
+  // Tell both sides about rewards granted by rewardFirstRide
+  notifyRewards(io, rewards) {
+    if (!io) return;
+
+    for (const reward of rewards) {
+      io.to(`user_${reward.referrerId}`).emit('referral_reward', {
+        amount: reward.referrerReward,
+        refereeId: reward.refereeId
+      });
+      io.to(`user_${reward.refereeId}`).emit('referral_reward', {
+        amount: reward.refereeReward
+      });
+    }
+  }
+
+  // Invite status and earned credit for the referrals page
+  async getSummary(userId) {
+    const code = await this.assignCode(userId);
+
+    const [userResult, referralsResult] = await Promise.all([
+      query('SELECT referral_credit FROM users WHERE id = $1', [userId]),
+      query(
+        `SELECT r.id, r.status, r.referrer_reward, r.created_at, r.rewarded_at,
+                u.name as referee_name, u.avatar_url as referee_avatar
+         FROM referrals r
+         JOIN users u ON r.referee_id = u.id
+         WHERE r.referrer_id = $1
+         ORDER BY r.created_at DESC`,
+        [userId]
+      )
+    ]);
+
+    const referrals = referralsResult.rows;
+    const countStatus = status => referrals.filter(r => r.status === status).length;
+
+    return {
+      referralCode: code,
+      credit: parseFloat(userResult.rows[0].referral_credit),
+      stats: {
+        invited: referrals.length,
+        pending: countStatus('pending'),
+        rewarded: countStatus('rewarded'),
+        rejected: countStatus('rejected'),
+        earned: referrals.reduce((sum, r) => sum + parseFloat(r.referrer_reward), 0)
+      },
+      referrals: referrals.map(r => ({
+        id: r.id,
+        refereeName: r.referee_name,
+        refereeAvatar: r.referee_avatar,
+        status: r.status,
+        reward: parseFloat(r.referrer_reward),
+        invitedAt: r.created_at,
+        rewardedAt: r.rewarded_at
+      }))
+    };
+  }
+}
+
+module.exports = new ReferralService();
@@ -0,0 +1,125 @@
+const { query } = require('../config/database');
+const { getBadges } = require('../config/preferences');
+const blockService = require('./blockService');
+const { projectOntoRoute, degreesAround } = require('../utils/geo');
+
+const MAX_DETOUR_KM = parseFloat(process.env.ROUTE_MATCH_MAX_DETOUR_KM) || 1;
+// Lobbies read per query while looking for matches
+const CANDIDATE_LIMIT = parseInt(process.env.ROUTE_MATCH_CANDIDATE_LIMIT) || 200;
+// Used when a lobby's route has no usable duration
+const DEFAULT_SPEED_KMH = 25;
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+const toLatLon = ([longitude, latitude]) => ({ latitude: round(latitude, 6), longitude: round(longitude, 6) });
+
+// SQL box around a point, grown by `km` on every side
+const boxAround = ([longitude, latitude], km) => {
+  const span = degreesAround(latitude, km);
+  return [longitude - span.lon, latitude - span.lat, longitude + span.lon, latitude + span.lat];
+};
+
+class RouteMatchService {
+  /**
+   * Active lobbies whose route passes within `maxDetourKm` of both the
+   * rider's pickup and dropoff, with the pickup before the dropoff.
+   * Points are [longitude, latitude]. Candidates are read CANDIDATE_LIMIT at a
+   * time, routes whose bounding box lies closest to the two points first,
+   * until `limit` matches are found or none are left; the matches found are
+   * ordered by detour time.
+   */
+  async findMatches({ pickup, dropoff, maxDetourKm = MAX_DETOUR_KM, departureDate, viewerId, limit = 20 }) {
+    // The route's bounding box must reach both points; the exact check runs below
+    const conditions = [
+      `l.status = 'active'`,
+      'l.route_geometry IS NOT NULL',
+      'l.route_bbox && BOX(POINT($1, $2), POINT($3, $4))',
+      'l.route_bbox && BOX(POINT($5, $6), POINT($7, $8))',
+      'l.seats_taken < l.available_seats',
+      'l.departure_time > LOCALTIMESTAMP'
+    ];
+    const params = [...boxAround(pickup, maxDetourKm), ...boxAround(dropoff, maxDetourKm), ...pickup, ...dropoff];
+
+    if (departureDate) {
+      params.push(departureDate);
+      conditions.push(`DATE(l.departure_time) = $${params.length}`);
+    }
+
+    if (viewerId) {
+      params.push(viewerId);
+      conditions.push(`l.creator_id <> $${params.length}`);
+      conditions.push(blockService.notBlockedLobbySql(`$${params.length}`));
+    }
+
+    const matches = [];
+
+    for (let offset = 0; matches.length < limit; offset += CANDIDATE_LIMIT) {
+      const result = await query(
+        `SELECT l.*, u.name as creator_name, u.avatar_url as creator_avatar, u.rating as creator_rating,
+                l.available_seats - l.seats_taken as remaining_seats,
+                (SELECT COUNT(*) FROM lobby_members lm WHERE lm.lobby_id = l.id AND lm.status = 'active') as member_count
+         FROM lobbies l
+         JOIN users u ON l.creator_id = u.id
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY (POINT($9, $10) <-> l.route_bbox) + (POINT($11, $12) <-> l.route_bbox),
+                  l.departure_time ASC, l.id
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, CANDIDATE_LIMIT, offset]
+      );
+
+      for (const lobby of result.rows) {
+        const match = this.matchLobby(lobby, pickup, dropoff, maxDetourKm);
+        if (match) {
+          matches.push(match);
+        }
+      }
+
+      if (result.rows.length < CANDIDATE_LIMIT) {
+        break;
+      }
+    }
+
+    matches.sort((a, b) =>
+      a.match.detourMinutes - b.match.detourMinutes ||
+      new Date(a.departure_time) - new Date(b.departure_time)
+    );
+
+    return matches.slice(0, limit);
+  }
+
+  // The lobby with its match details, or null when its route does not fit the trip
+  matchLobby(lobby, pickup, dropoff, maxDetourKm) {
+    const { route_geometry: geometry, ...fields } = lobby;
+    delete fields.route_bbox;
+    const onPickup = projectOntoRoute(geometry.coordinates, pickup);
+    const onDropoff = projectOntoRoute(geometry.coordinates, dropoff);
+
+    if (!onPickup || !onDropoff ||
+        onPickup.distanceKm > maxDetourKm || onDropoff.distanceKm > maxDetourKm ||
+        onPickup.alongKm >= onDropoff.alongKm) {
+      return null;
+    }
+
+    // The driver leaves the route and comes back at both stops
+    const speedKmh = lobby.route_distance_m && lobby.route_duration_s
+      ? (lobby.route_distance_m / 1000) / (lobby.route_duration_s / 3600)
+      : DEFAULT_SPEED_KMH;
+    const detourKm = 2 * (onPickup.distanceKm + onDropoff.distanceKm);
+
+    return {
+      ...fields,
+      badges: getBadges(lobby.preferences),
+      match: {
+        pickupPoint: toLatLon(onPickup.point),
+        dropoffPoint: toLatLon(onDropoff.point),
+        pickupDistanceKm: round(onPickup.distanceKm),
+        dropoffDistanceKm: round(onDropoff.distanceKm),
+        sharedDistanceKm: round(onDropoff.alongKm - onPickup.alongKm),
+        detourKm: round(detourKm),
+        detourMinutes: Math.ceil(detourKm / speedKmh * 60)
+      }
+    };
+  }
+}
+
+module.exports = new RouteMatchService();
@@ -0,0 +1,181 @@
+const { query } = require('../config/database');
+const { setCache, getCache } = require('../config/redis');
+const smsService = require('./smsService');
+const logger = require('../utils/logger');
+
+const LOCATION_TTL_SECONDS = parseInt(process.env.LAST_LOCATION_TTL_SECONDS) || 6 * 60 * 60;
+
+// Last known locations when Redis is unavailable (per instance)
+const memoryLocations = new Map();
+
+const locationKey = (userId) => `location:${userId}`;
+
+const formatCoordinates = (location) =>
+  `https://maps.google.com/?q=${location.latitude},${location.longitude}`;
+
+class SafetyService {
+  // Remember the latest location a user shared during a ride
+  async recordLocation(userId, lobbyId, latitude, longitude) {
+    const lat = parseFloat(latitude);
+    const lon = parseFloat(longitude);
+
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      return false;
+    }
+
+    const location = { lobbyId, latitude: lat, longitude: lon, recordedAt: new Date().toISOString() };
+
+    const cached = await setCache(locationKey(userId), location, LOCATION_TTL_SECONDS);
+    if (!cached) {
+      memoryLocations.set(userId, { ...location, expiresAt: Date.now() + LOCATION_TTL_SECONDS * 1000 });
+    }
+
+    return true;
+  }
+
+  async getLastLocation(userId) {
+    const cached = await getCache(locationKey(userId));
+    if (cached) {
+      return cached;
+    }
+
+    const entry = memoryLocations.get(userId);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      memoryLocations.delete(userId);
+      return null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Raise an SOS for a started lobby the user belongs to.
+   * Returns { success, incident, alreadyOpen } or { success: false, reason }.
+   */
+  async triggerSos(user, { lobbyId, latitude, longitude, message }, io) {
+    const lobbyResult = await query(
+      `SELECT l.id, l.status, l.from_location, l.to_location
+       FROM lobbies l
+       JOIN lobby_members lm ON lm.lobby_id = l.id
+       WHERE l.id = $1 AND lm.user_id = $2 AND lm.status = 'active'`,
+      [lobbyId, user.id]
+    );
+
+    if (lobbyResult.rows.length === 0) {
+      return { success: false, reason: 'not_member' };
+    }
+
+    const lobby = lobbyResult.rows[0];
+
+    if (lobby.status !== 'started') {
+      return { success: false, reason: 'not_started' };
+    }
+
+    // Repeated presses keep pointing at the same open incident
+    const openResult = await query(
+      `SELECT * FROM sos_incidents WHERE user_id = $1 AND lobby_id = $2 AND status = 'open'`,
+      [user.id, lobbyId]
+    );
+
+    if (openResult.rows.length > 0) {
+      return { success: true, incident: openResult.rows[0], alreadyOpen: true };
+    }
+
+    // A location sent with the SOS wins over the last one shared
+    if (latitude !== undefined && longitude !== undefined) {
+      await this.recordLocation(user.id, lobbyId, latitude, longitude);
+    }
+    const location = await this.getLastLocation(user.id);
+
+    const incidentResult = await query(
+      `INSERT INTO sos_incidents (user_id, lobby_id, latitude, longitude, location_recorded_at, message)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [
+        user.id,
+        lobbyId,
+        location ? location.latitude : null,
+        location ? location.longitude : null,
+        location ? location.recordedAt : null,
+        message || null
+      ]
+    );
+
+    const incident = incidentResult.rows[0];
+
+    logger.warn(`🚨 SOS ${incident.id} raised by user ${user.id} in lobby ${lobbyId}`);
+
+    const notified = await this.notifyContacts(user, lobby, location);
+
+    if (notified > 0) {
+      await query('UPDATE sos_incidents SET contacts_notified = $1 WHERE id = $2', [notified, incident.id]);
+      incident.contacts_notified = notified;
+    }
+
+    if (io) {
+      io.to('role_admin').emit('sos_alert', {
+        incidentId: incident.id,
+        lobbyId,
+        userId: user.id,
+        userName: user.name,
+        userPhone: user.phone,
+        location,
+        message: incident.message,
+        timestamp: incident.created_at
+      });
+    }
+
+    return { success: true, incident, alreadyOpen: false };
+  }
+
+  // Text every emergency contact; one failing number does not stop the others
+  async notifyContacts(user, lobby, location) {
+    const contacts = await query(
+      'SELECT name, phone FROM emergency_contacts WHERE user_id = $1',
+      [user.id]
+    );
+
+    const where = location ? ` Last known location: ${formatCoordinates(location)}` : '';
+    const text = `SOS from ${user.name} on G.A.R.I. during a ride from ${lobby.from_location} to ${lobby.to_location}.${where}`;
+
+    let notified = 0;
+
+    for (const contact of contacts.rows) {
+      try {
+        await smsService.send(contact.phone, text);
+        notified++;
+      } catch (error) {
+        logger.error(`SOS notification to ${contact.name} failed:`, error);
+      }
+    }
+
+    return notified;
+  }
+
+  // Close an open incident
+  async resolveIncident(incidentId, resolvedBy, notes, io) {
+    const result = await query(
+      `UPDATE sos_incidents
+       SET status = 'resolved', resolved_by = $1, resolved_at = CURRENT_TIMESTAMP, resolution_notes = $2
+       WHERE id = $3 AND status = 'open'
+       RETURNING *`,
+      [resolvedBy, notes || null, incidentId]
+    );
+
+    const incident = result.rows[0] || null;
+
+    if (incident) {
+      logger.info(`SOS ${incidentId} resolved by user ${resolvedBy}`);
+
+      if (io) {
+        const update = { incidentId, status: 'resolved', resolvedBy, timestamp: incident.resolved_at };
+        io.to('role_admin').emit('sos_resolved', update);
+        io.to(`user_${incident.user_id}`).emit('sos_resolved', update);
+      }
+    }
+
+    return incident;
+  }
+}
+
+module.exports = new SafetyService();
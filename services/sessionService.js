@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { pool, query } = require('../config/database');
+const logger = require('../utils/logger');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.JWT_REFRESH_EXPIRES_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+class SessionService {
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Device details stored with the session so users can recognise it later
+  getDeviceInfo(req) {
+    const provided = (req.body && typeof req.body.deviceInfo === 'object' && req.body.deviceInfo) || {};
+    const pick = (value) => (typeof value === 'string' ? value.slice(0, 255) : undefined);
+
+    return {
+      deviceId: pick(provided.deviceId),
+      deviceName: pick(provided.deviceName),
+      platform: pick(provided.platform),
+      appVersion: pick(provided.appVersion),
+      userAgent: pick(req.get('User-Agent')),
+      ip: req.ip
+    };
+  }
+
+  // Short-lived JWT bound to a session through its jti, carrying the role claim
+  signAccessToken(userId, sessionId, role) {
+    return jwt.sign(
+      { userId, role },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_EXPIRES_IN, jwtid: sessionId }
+    );
+  }
+
+  // Long-lived opaque token; only its hash is stored
+  generateRefreshToken() {
+    return crypto.randomBytes(48).toString('base64url');
+  }
+
+  async storeRefreshToken(db, userId, sessionId, refreshToken, expiresAt) {
+    await db.query(
+      'INSERT INTO refresh_tokens (session_id, user_id, token_hash, expires_at) VALUES ($1, $2, $3, $4)',
+      [sessionId, userId, this.hashToken(refreshToken), expiresAt]
+    );
+  }
+
+  // Create a session with its first access/refresh token pair
+  async createSession(user, deviceInfo) {
+    const userId = user.id;
+    const sessionId = uuidv4();
+    const token = this.signAccessToken(userId, sessionId, user.role);
+    const refreshToken = this.generateRefreshToken();
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+
+    await query(
+      'INSERT INTO user_sessions (id, user_id, token_hash, device_info, expires_at, last_used_at) VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)',
+      [sessionId, userId, this.hashToken(token), deviceInfo || null, expiresAt]
+    );
+    await this.storeRefreshToken(pool, userId, sessionId, refreshToken, expiresAt);
+
+    return { sessionId, token, refreshToken, expiresAt };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair. Each refresh token works once;
+   * presenting a used one again revokes the whole session (token family).
+   * Resolves to { status: 'ok' | 'invalid' | 'expired' | 'reused', ... }.
+   */
+  async rotateRefreshToken(refreshToken, io) {
+    const client = await pool.connect();
+    let reusedSessionId = null;
+
+    try {
+      await client.query('BEGIN');
+
+      const tokenResult = await client.query(
+        `SELECT rt.id, rt.session_id, rt.user_id, rt.used_at, rt.expires_at, u.is_active, u.role
+         FROM refresh_tokens rt
+         JOIN user_sessions s ON rt.session_id = s.id
+         JOIN users u ON rt.user_id = u.id
+         WHERE rt.token_hash = $1
+         FOR UPDATE OF rt, s`,
+        [this.hashToken(refreshToken)]
+      );
+
+      if (tokenResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return { status: 'invalid' };
+      }
+
+      const stored = tokenResult.rows[0];
+
+      if (stored.used_at) {
+        await client.query('DELETE FROM user_sessions WHERE id = $1', [stored.session_id]);
+        await client.query('COMMIT');
+        reusedSessionId = stored.session_id;
+        logger.warn(`Refresh token reuse detected, session ${stored.session_id} of user ${stored.user_id} revoked`);
+        return { status: 'reused' };
+      }
+
+      if (new Date(stored.expires_at) <= new Date() || !stored.is_active) {
+        await client.query('ROLLBACK');
+        return { status: 'expired' };
+      }
+
+      const token = this.signAccessToken(stored.user_id, stored.session_id, stored.role);
+      const nextRefreshToken = this.generateRefreshToken();
+      const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+
+      await client.query(
+        'UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [stored.id]
+      );
+      await this.storeRefreshToken(client, stored.user_id, stored.session_id, nextRefreshToken, expiresAt);
+      await client.query(
+        'UPDATE user_sessions SET token_hash = $1, expires_at = $2, last_used_at = CURRENT_TIMESTAMP WHERE id = $3',
+        [this.hashToken(token), expiresAt, stored.session_id]
+      );
+
+      await client.query('COMMIT');
+
+      return {
+        status: 'ok',
+        userId: stored.user_id,
+        sessionId: stored.session_id,
+        token,
+        refreshToken: nextRefreshToken,
+        expiresAt
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+      if (reusedSessionId) {
+        this.disconnectSessions(io, [reusedSessionId]);
+      }
+    }
+  }
+
+  // Verify a token and resolve its user and live session; null when the session is gone
+  // or the role claim no longer matches (the client then refreshes to get a new one)
+  async authenticate(token) {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (!decoded.jti) {
+      return null;
+    }
+
+    const result = await query(
+      `SELECT u.id, u.name, u.email, u.phone, u.is_verified, u.is_active, u.role, u.totp_enabled
+       FROM user_sessions s
+       JOIN users u ON s.user_id = u.id
+       WHERE s.id = $1 AND s.user_id = $2 AND s.expires_at > CURRENT_TIMESTAMP AND u.is_active = true`,
+      [decoded.jti, decoded.userId]
+    );
+
+    if (result.rows.length === 0 || result.rows[0].role !== decoded.role) {
+      return null;
+    }
+
+    // Record activity at most once a minute per session
+    query(
+      `UPDATE user_sessions SET last_used_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < CURRENT_TIMESTAMP - INTERVAL '1 minute')`,
+      [decoded.jti]
+    ).catch(error => logger.error('Session touch error:', error));
+
+    return { user: result.rows[0], sessionId: decoded.jti, decoded };
+  }
+
+  async listSessions(userId) {
+    const result = await query(
+      `SELECT id, device_info, created_at, last_used_at, expires_at
+       FROM user_sessions
+       WHERE user_id = $1 AND expires_at > CURRENT_TIMESTAMP
+       ORDER BY last_used_at DESC NULLS LAST, created_at DESC`,
+      [userId]
+    );
+
+    return result.rows;
+  }
+
+  // Delete one session and drop its sockets; false when it does not belong to the user
+  async revokeSession(userId, sessionId, io) {
+    const result = await query(
+      'DELETE FROM user_sessions WHERE id = $1 AND user_id = $2 RETURNING id',
+      [sessionId, userId]
+    );
+
+    this.disconnectSessions(io, result.rows.map(row => row.id));
+
+    return result.rows.length > 0;
+  }
+
+  // Delete every session of a user, optionally keeping the caller's own
+  async revokeAllSessions(userId, { exceptSessionId = null, io = null } = {}) {
+    const result = await query(
+      'DELETE FROM user_sessions WHERE user_id = $1 AND ($2::uuid IS NULL OR id != $2::uuid) RETURNING id',
+      [userId, exceptSessionId]
+    );
+
+    const revokedIds = result.rows.map(row => row.id);
+    this.disconnectSessions(io, revokedIds);
+
+    return revokedIds;
+  }
+
+  disconnectSessions(io, sessionIds) {
+    if (!io) return;
+
+    for (const sessionId of sessionIds) {
+      io.in(`session_${sessionId}`).disconnectSockets(true);
+    }
+  }
+}
+
+module.exports = new SessionService();
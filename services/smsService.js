@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Runs of four or more digits, i.e. verification codes
+const CODE_PATTERN = /\d{4,}/g;
+
+// Development stub: prints messages to the application log, with codes
+// masked outside development so they never reach shared logs
+const consoleProvider = {
+  async send(to, message) {
+    const text = process.env.NODE_ENV === 'development'
+      ? message
+      : message.replace(CODE_PATTERN, digits => '*'.repeat(digits.length));
+    logger.info(`📱 SMS to ${to}: ${text}`);
+    return { provider: 'console', delivered: true };
+  }
+};
+
+// Development stub: appends messages to a local outbox file
+const fileProvider = {
+  async send(to, message) {
+    const outbox = process.env.SMS_OUTBOX_FILE || path.join(__dirname, '../logs/sms-outbox.log');
+    const line = JSON.stringify({ to, message, sentAt: new Date().toISOString() });
+    await fs.promises.appendFile(outbox, line + '\n');
+    return { provider: 'file', delivered: true };
+  }
+};
+
+class SmsService {
+  constructor() {
+    this.providers = {
+      console: consoleProvider,
+      file: fileProvider
+    };
+  }
+
+  // Register a provider exposing an async send(to, message) method
+  registerProvider(name, provider) {
+    if (!provider || typeof provider.send !== 'function') {
+      throw new Error('SMS provider must implement send(to, message)');
+    }
+    this.providers[name] = provider;
+  }
+
+  // Production must name a real provider; the stubs are only a development default
+  getProvider() {
+    if (!process.env.SMS_PROVIDER && process.env.NODE_ENV === 'production') {
+      throw new Error('SMS_PROVIDER must be set in production');
+    }
+
+    const name = process.env.SMS_PROVIDER || 'console';
+    const provider = this.providers[name];
+
+    if (!provider) {
+      throw new Error(`Unknown SMS provider: ${name}`);
+    }
+
+    return provider;
+  }
+
+  // Send a text message to a phone number
+  async send(to, message) {
+    try {
+      return await this.getProvider().send(to, message);
+    } catch (error) {
+      logger.error('SMS send error:', error);
+      throw new Error('Failed to send SMS');
+    }
+  }
+}
+
+module.exports = new SmsService();
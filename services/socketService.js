@@ -1,5 +1,9 @@
-const jwt = require('jsonwebtoken');
 const { query } = require('../config/database');
+const sessionService = require('./sessionService');
+const { hasPermission } = require('../config/roles');
+const safetyService = require('./safetyService');
+const lobbyStateMachine = require('./lobbyStateMachine');
+const joinRequestService = require('./joinRequestService');
 const logger = require('../utils/logger');
 
 const socketAuth = async (socket, next) => {
@@ -10,18 +14,14 @@ const socketAuth = async (socket, next) => {
       return next(new Error('Authentication error'));
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    const userResult = await query(
-      'SELECT id, name, email, phone FROM users WHERE id = $1 AND is_active = true',
-      [decoded.userId]
-    );
+    const auth = await sessionService.authenticate(token);
 
-    if (userResult.rows.length === 0) {
-      return next(new Error('User not found'));
+    if (!auth) {
+      return next(new Error('Session expired or revoked'));
     }
 
-    socket.user = userResult.rows[0];
+    socket.user = auth.user;
+    socket.sessionId = auth.sessionId;
     next();
   } catch (error) {
     logger.error('Socket authentication error:', error);
@@ -39,6 +39,14 @@ const socketHandler = (io) => {
     // Join user to their personal room
     socket.join(`user_${socket.user.id}`);
 
+    // Session room lets a revoked session drop its live sockets
+    socket.join(`session_${socket.sessionId}`);
+
+    // Safety responders receive SOS alerts in real time
+    if (hasPermission(socket.user.role, 'safety:respond')) {
+      socket.join('role_admin');
+    }
+
     // Handle joining lobby rooms
     socket.on('join_lobby', async (lobbyId) => {
       try {
@@ -125,6 +133,9 @@ const socketHandler = (io) => {
           return;
         }
 
+        // Keep the last known location for a possible SOS
+        await safetyService.recordLocation(socket.user.id, lobbyId, latitude, longitude);
+
         // Broadcast location update to lobby members
         socket.to(`lobby_${lobbyId}`).emit('member_location_update', {
           userId: socket.user.id,
@@ -142,37 +153,59 @@ const socketHandler = (io) => {
     // Handle lobby status updates
     socket.on('lobby_status_update', async (data) => {
       try {
-        const { lobbyId, status } = data;
+        const { lobbyId, status, reason } = data;
 
-        // Verify user is creator of this lobby
-        const lobbyResult = await query(
-          'SELECT * FROM lobbies WHERE id = $1 AND creator_id = $2',
-          [lobbyId, socket.user.id]
-        );
+        // Same transition rules as PUT /api/lobbies/:id/status
+        const result = await lobbyStateMachine.request(socket.user, lobbyId, status, { reason, io });
 
-        if (lobbyResult.rows.length === 0) {
-          socket.emit('error', { message: 'Not authorized to update this lobby' });
-          return;
+        if (!result.success) {
+          socket.emit('error', { message: result.message });
         }
+      } catch (error) {
+        logger.error('Error updating lobby status:', error);
+        socket.emit('error', { message: 'Failed to update lobby status' });
+      }
+    });
 
-        // Update lobby status
-        await query(
-          'UPDATE lobbies SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-          [status, lobbyId]
-        );
+    // Creators can answer join requests live, same as the REST endpoints
+    ['approve', 'decline'].forEach(action => {
+      socket.on(`${action}_join_request`, async (data = {}) => {
+        try {
+          const { lobbyId, requestId } = data;
+          const result = await joinRequestService.respond(socket.user, lobbyId, requestId, action === 'approve', io);
+
+          if (!result.success) {
+            socket.emit('error', { message: result.message });
+          }
+        } catch (error) {
+          logger.error(`Error handling ${action}_join_request:`, error);
+          socket.emit('error', { message: 'Failed to respond to join request' });
+        }
+      });
+    });
 
-        // Broadcast status update to all lobby members
-        io.to(`lobby_${lobbyId}`).emit('lobby_status_changed', {
-          lobbyId,
-          status,
-          updatedBy: socket.user.name,
-          timestamp: new Date()
-        });
+    // Handle SOS alerts raised during a ride
+    socket.on('sos', async (data = {}) => {
+      try {
+        const result = await safetyService.triggerSos(socket.user, data, io);
+
+        if (!result.success) {
+          socket.emit('error', {
+            message: result.reason === 'not_started'
+              ? 'SOS is only available while the ride is in progress'
+              : 'Not authorized to raise an SOS for this lobby'
+          });
+          return;
+        }
 
-        logger.info(`Lobby ${lobbyId} status updated to ${status} by ${socket.user.name}`);
+        socket.emit('sos_received', {
+          incidentId: result.incident.id,
+          contactsNotified: result.incident.contacts_notified,
+          alreadyOpen: result.alreadyOpen
+        });
       } catch (error) {
-        logger.error('Error updating lobby status:', error);
-        socket.emit('error', { message: 'Failed to update lobby status' });
+        logger.error('Error raising SOS:', error);
+        socket.emit('error', { message: 'Failed to send SOS' });
       }
     });
 
@@ -0,0 +1,34 @@
+const LocalStorage = require('./localStorage');
+const { S3Storage, createS3Client } = require('./s3Storage');
+
+/**
+ * File storage behind a common interface: put(key, body, contentType),
+ * stream(key), delete(key), url(key) and keyFromUrl(url).
+ *
+ * STORAGE_DRIVER=local (default) keeps public files in uploads/ (served at
+ * /uploads) and private ones in private_uploads/. STORAGE_DRIVER=s3 uses one
+ * bucket with public/ and private/ prefixes; public objects must be readable
+ * through S3_PUBLIC_URL.
+ */
+const createStorages = () => {
+  if (process.env.STORAGE_DRIVER === 's3') {
+    const client = createS3Client();
+    const bucket = process.env.S3_BUCKET;
+    const publicUrl = process.env.S3_PUBLIC_URL ||
+      (process.env.S3_ENDPOINT
+        ? `${process.env.S3_ENDPOINT.replace(/\/+$/, '')}/${bucket}`
+        : `https://${bucket}.s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`);
+
+    return {
+      publicStorage: new S3Storage({ client, bucket, prefix: 'public/', publicUrl }),
+      privateStorage: new S3Storage({ client, bucket, prefix: 'private/' })
+    };
+  }
+
+  return {
+    publicStorage: new LocalStorage({ root: 'uploads', baseUrl: '/uploads' }),
+    privateStorage: new LocalStorage({ root: 'private_uploads' })
+  };
+};
+
+module.exports = createStorages();
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.json': 'application/json'
+};
+
+// Stores objects as files below a root directory
+class LocalStorage {
+  constructor({ root, baseUrl = null }) {
+    this.root = root.replace(/\/+$/, '');
+    this.baseUrl = baseUrl;
+  }
+
+  // Keys are relative to the root; paths saved before the storage layer
+  // existed include the root and are accepted as well
+  filePath(key) {
+    const relative = key.startsWith(`${this.root}/`) ? key.slice(this.root.length + 1) : key;
+    const rootPath = path.resolve(this.root);
+    const filePath = path.resolve(rootPath, relative);
+
+    if (!filePath.startsWith(rootPath + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  async put(key, body) {
+    const filePath = this.filePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, body);
+    return key;
+  }
+
+  // Returns { stream, contentType } or null when the object does not exist
+  async stream(key) {
+    const filePath = this.filePath(key);
+
+    try {
+      await fs.promises.access(filePath);
+    } catch (error) {
+      return null;
+    }
+
+    return {
+      stream: fs.createReadStream(filePath),
+      contentType: CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream'
+    };
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.filePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  url(key) {
+    return this.baseUrl ? `${this.baseUrl}/${key}` : null;
+  }
+
+  // Inverse of url(); null for URLs this storage did not produce
+  keyFromUrl(url) {
+    const prefix = `${this.baseUrl}/`;
+    return this.baseUrl && url && url.startsWith(prefix) ? url.slice(prefix.length) : null;
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,86 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+// Stores objects in an S3-compatible bucket (AWS S3, MinIO, ...) under a key prefix
+class S3Storage {
+  constructor({ client, bucket, prefix = '', publicUrl = null }) {
+    this.client = client;
+    this.bucket = bucket;
+    this.prefix = prefix;
+    this.publicUrl = publicUrl;
+  }
+
+  objectKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  async put(key, body, contentType) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: body,
+      ContentType: contentType
+    }));
+    return key;
+  }
+
+  // Returns { stream, contentType } or null when the object does not exist
+  async stream(key) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key)
+      }));
+
+      return {
+        stream: response.Body,
+        contentType: response.ContentType || 'application/octet-stream'
+      };
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Deleting a missing object succeeds on S3
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }));
+  }
+
+  url(key) {
+    return this.publicUrl ? `${this.publicUrl}/${this.objectKey(key)}` : null;
+  }
+
+  // Inverse of url(); null for URLs this storage did not produce
+  keyFromUrl(url) {
+    const prefix = `${this.publicUrl}/${this.prefix}`;
+    return this.publicUrl && url && url.startsWith(prefix) ? url.slice(prefix.length) : null;
+  }
+}
+
+// Client from S3_* settings; a custom endpoint implies path-style addressing (MinIO)
+const createS3Client = () => new S3Client({
+  region: process.env.S3_REGION || 'us-east-1',
+  endpoint: process.env.S3_ENDPOINT || undefined,
+  forcePathStyle: Boolean(process.env.S3_ENDPOINT) || process.env.S3_FORCE_PATH_STYLE === 'true',
+  credentials: process.env.S3_ACCESS_KEY_ID
+    ? {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      }
+    : undefined
+});
+
+module.exports = {
+  S3Storage,
+  createS3Client
+};
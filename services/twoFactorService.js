@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool, query } = require('../config/database');
+const totp = require('../utils/totp');
+const { encrypt, decrypt } = require('../utils/encryption');
+const logger = require('../utils/logger');
+
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_EXPIRES_IN = '5m';
+
+class TwoFactorService {
+  hashBackupCode(code) {
+    return crypto
+      .createHmac('sha256', process.env.JWT_SECRET)
+      .update(code.replace(/[\s-]/g, '').toLowerCase())
+      .digest('hex');
+  }
+
+  // Codes look like "a1b2-c3d4"
+  generateBackupCodes() {
+    return Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(4).toString('hex');
+      return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+    });
+  }
+
+  async replaceBackupCodes(db, userId) {
+    const codes = this.generateBackupCodes();
+
+    await db.query('DELETE FROM user_backup_codes WHERE user_id = $1', [userId]);
+    for (const code of codes) {
+      await db.query(
+        'INSERT INTO user_backup_codes (user_id, code_hash) VALUES ($1, $2)',
+        [userId, this.hashBackupCode(code)]
+      );
+    }
+
+    return codes;
+  }
+
+  // Start enrollment: store a pending secret and return it with an otpauth URI for the QR code
+  async beginEnrollment(user) {
+    const secret = totp.generateSecret();
+
+    await query(
+      'UPDATE users SET totp_secret = $1, totp_enabled = false, totp_last_step = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [encrypt(secret), user.id]
+    );
+
+    return {
+      secret,
+      otpauthUri: totp.buildOtpauthUri(secret, user.phone)
+    };
+  }
+
+  // Finish enrollment with a first code; returns the one-time backup codes or null
+  async confirmEnrollment(userId, code) {
+    const result = await query(
+      'SELECT totp_secret, totp_enabled FROM users WHERE id = $1',
+      [userId]
+    );
+
+    const user = result.rows[0];
+    if (!user || !user.totp_secret || user.totp_enabled) {
+      return null;
+    }
+
+    const step = totp.verifyCode(decrypt(user.totp_secret), code);
+    if (step === null) {
+      return null;
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        'UPDATE users SET totp_enabled = true, totp_last_step = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [step, userId]
+      );
+      const backupCodes = await this.replaceBackupCodes(client, userId);
+      await client.query('COMMIT');
+
+      logger.info(`Two-factor authentication enabled for user: ${userId}`);
+      return backupCodes;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Check a TOTP code (each time step is accepted once) or consume a backup code
+  async verify(userId, code) {
+    if (!code) {
+      return { success: false };
+    }
+
+    const result = await query(
+      'SELECT totp_secret, totp_enabled FROM users WHERE id = $1',
+      [userId]
+    );
+
+    const user = result.rows[0];
+    if (!user || !user.totp_enabled) {
+      return { success: false };
+    }
+
+    const step = totp.verifyCode(decrypt(user.totp_secret), code);
+
+    if (step !== null) {
+      const update = await query(
+        `UPDATE users SET totp_last_step = $1
+         WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)
+         RETURNING id`,
+        [step, userId]
+      );
+
+      return { success: update.rows.length > 0, method: 'totp' };
+    }
+
+    const backup = await query(
+      `UPDATE user_backup_codes SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [userId, this.hashBackupCode(String(code))]
+    );
+
+    if (backup.rows.length > 0) {
+      logger.info(`Backup code used by user: ${userId}`);
+      return { success: true, method: 'backup_code' };
+    }
+
+    return { success: false };
+  }
+
+  async regenerateBackupCodes(userId) {
+    return this.replaceBackupCodes(pool, userId);
+  }
+
+  async disable(userId) {
+    await query(
+      'UPDATE users SET totp_enabled = false, totp_secret = NULL, totp_last_step = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [userId]
+    );
+    await query('DELETE FROM user_backup_codes WHERE user_id = $1', [userId]);
+
+    logger.info(`Two-factor authentication disabled for user: ${userId}`);
+  }
+
+  async remainingBackupCodes(userId) {
+    const result = await query(
+      'SELECT COUNT(*) FROM user_backup_codes WHERE user_id = $1 AND used_at IS NULL',
+      [userId]
+    );
+    return parseInt(result.rows[0].count);
+  }
+
+  // Short-lived token proving the password step of a two-step login
+  createChallengeToken(userId, { cancelDeletion = false } = {}) {
+    return jwt.sign(
+      { userId, cancelDeletion, purpose: '2fa_challenge' },
+      process.env.JWT_SECRET,
+      { expiresIn: CHALLENGE_EXPIRES_IN }
+    );
+  }
+
+  // Returns { userId, cancelDeletion } from a valid challenge token, or null
+  verifyChallengeToken(token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (decoded.purpose !== '2fa_challenge') {
+        return null;
+      }
+      return { userId: decoded.userId, cancelDeletion: decoded.cancelDeletion === true };
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new TwoFactorService();
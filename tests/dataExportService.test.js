@@ -0,0 +1,35 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../config/database', () => ({ pool: { connect: jest.fn() }, query: jest.fn() }));
+
+const { query } = require('../config/database');
+const dataExportService = require('../services/dataExportService');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('dataExportService.requestExport', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(dataExportService, 'processJob').mockResolvedValue();
+  });
+
+  afterEach(jest.restoreAllMocks);
+
+  test('reuses a ready export until it expires', async () => {
+    const ready = { id: 'job-1', status: 'ready', expires_at: new Date(Date.now() + HOUR) };
+    query.mockResolvedValueOnce({ rows: [ready] });
+
+    expect(await dataExportService.requestExport('user-1')).toBe(ready);
+    expect(query).toHaveBeenCalledTimes(1);
+  });
+
+  test('queues a new export once the ready one has expired', async () => {
+    const expired = { id: 'job-1', status: 'ready', expires_at: new Date(Date.now() - HOUR) };
+    const queued = { id: 'job-2', status: 'pending', expires_at: null };
+    query
+      .mockResolvedValueOnce({ rows: [expired] })
+      .mockResolvedValueOnce({ rows: [queued] });
+
+    expect(await dataExportService.requestExport('user-1')).toBe(queued);
+    expect(query.mock.calls[1][0]).toContain('INSERT INTO data_export_jobs');
+  });
+});
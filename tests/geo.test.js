@@ -0,0 +1,34 @@
+const { projectOntoRoute, haversineKm } = require('../utils/geo');
+
+// About 11 km due east along the equator, with a bend north at the end
+const ROUTE = [[0, 0], [0.05, 0], [0.1, 0], [0.1, 0.05]];
+
+describe('projectOntoRoute', () => {
+  test('finds the closest point on the route and its distance', () => {
+    const result = projectOntoRoute(ROUTE, [0.03, 0.001]);
+
+    expect(result.point[0]).toBeCloseTo(0.03, 6);
+    expect(result.point[1]).toBeCloseTo(0, 6);
+    expect(result.distanceKm).toBeCloseTo(haversineKm([0.03, 0.001], [0.03, 0]), 2);
+  });
+
+  test('measures the distance along the route up to the closest point', () => {
+    const early = projectOntoRoute(ROUTE, [0.02, -0.001]);
+    const late = projectOntoRoute(ROUTE, [0.101, 0.02]);
+
+    expect(early.alongKm).toBeCloseTo(haversineKm([0, 0], [0.02, 0]), 2);
+    expect(late.alongKm).toBeCloseTo(haversineKm([0, 0], [0.1, 0]) + haversineKm([0.1, 0], [0.1, 0.02]), 2);
+  });
+
+  test('clamps points beyond the ends of the route to its endpoints', () => {
+    const before = projectOntoRoute(ROUTE, [-0.01, 0]);
+
+    expect(before.point).toEqual([0, 0]);
+    expect(before.alongKm).toBe(0);
+    expect(before.distanceKm).toBeCloseTo(haversineKm([-0.01, 0], [0, 0]), 2);
+  });
+
+  test('returns null for a route without segments', () => {
+    expect(projectOntoRoute([[0, 0]], [0, 0])).toBeNull();
+  });
+});
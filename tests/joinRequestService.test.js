@@ -0,0 +1,68 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../config/database', () => ({ pool: { connect: jest.fn() }, query: jest.fn() }));
+jest.mock('../services/lobbyService', () => ({ bookSeats: jest.fn() }));
+jest.mock('../services/lobbyStateMachine', () => ({ syncSeats: jest.fn() }));
+
+const { pool, query } = require('../config/database');
+const lobbyService = require('../services/lobbyService');
+const joinRequestService = require('../services/joinRequestService');
+
+const CREATOR = { id: 'creator', role: 'driver' };
+const REQUEST = { id: 'request-1', user_id: 'rider', seats: 2, pickup_location: null };
+
+// Transaction client where the request is still pending when `pending` is set
+const fakeClient = pending => {
+  const statements = [];
+
+  return {
+    statements,
+    release: jest.fn(),
+    query: jest.fn(async (sql, params) => {
+      statements.push(sql.trim().split(/\s+/)[0]);
+      if (sql.includes('UPDATE lobby_join_requests')) return { rows: pending ? [REQUEST] : [] };
+      if (sql.includes('SELECT from_location')) return { rows: [{ from_location: 'Main St' }] };
+      return { rows: [] };
+    })
+  };
+};
+
+describe('joinRequestService.respond', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [{ creator_id: 'creator' }] });
+  });
+
+  test('claims the request and books the seats in one transaction', async () => {
+    const client = fakeClient(true);
+    pool.connect.mockResolvedValue(client);
+    lobbyService.bookSeats.mockResolvedValue({ success: true, remainingSeats: 1 });
+
+    const result = await joinRequestService.respond(CREATOR, 'lobby-1', 'request-1', true, null);
+
+    expect(result).toEqual({ success: true, decision: 'approved' });
+    expect(lobbyService.bookSeats).toHaveBeenCalledWith('lobby-1', 'rider', 2, 'Main St', { client });
+    expect(client.statements).toEqual(['BEGIN', 'UPDATE', 'SELECT', 'COMMIT']);
+  });
+
+  test('leaves the request pending when the seats are gone', async () => {
+    const client = fakeClient(true);
+    pool.connect.mockResolvedValue(client);
+    lobbyService.bookSeats.mockResolvedValue({ success: false, status: 400, message: 'Lobby is full' });
+
+    const result = await joinRequestService.respond(CREATOR, 'lobby-1', 'request-1', true, null);
+
+    expect(result).toEqual({ success: false, status: 400, message: 'Lobby is full' });
+    expect(client.statements).toEqual(['BEGIN', 'UPDATE', 'SELECT', 'ROLLBACK']);
+  });
+
+  test('does not book again for a request another reviewer already handled', async () => {
+    const client = fakeClient(false);
+    pool.connect.mockResolvedValue(client);
+
+    const result = await joinRequestService.respond(CREATOR, 'lobby-1', 'request-1', true, null);
+
+    expect(result).toEqual({ success: false, status: 404, message: 'Join request not found' });
+    expect(lobbyService.bookSeats).not.toHaveBeenCalled();
+    expect(client.release).toHaveBeenCalled();
+  });
+});
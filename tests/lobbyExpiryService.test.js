@@ -0,0 +1,60 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../config/database', () => ({ pool: { connect: jest.fn() }, query: jest.fn() }));
+jest.mock('../services/lobbyStateMachine', () => ({ transition: jest.fn(), notify: jest.fn() }));
+
+const { pool } = require('../config/database');
+const lobbyStateMachine = require('../services/lobbyStateMachine');
+const logger = require('../utils/logger');
+const lobbyExpiryService = require('../services/lobbyExpiryService');
+
+// Each transaction selects the first due lobby that was not skipped yet
+const useLobbies = lobbies => {
+  const closed = new Set();
+
+  pool.connect.mockImplementation(async () => ({
+    release: jest.fn(),
+    query: jest.fn(async (sql, params) => {
+      if (!sql.startsWith('SELECT')) return { rows: [] };
+      const next = lobbies.find(lobby => !closed.has(lobby.id) && !params[1].includes(lobby.id));
+      return { rows: next ? [next] : [] };
+    })
+  }));
+
+  lobbyStateMachine.transition.mockImplementation(async (lobbyId, to) => {
+    if (lobbyId === 'broken') throw new Error('connection reset');
+    if (lobbyId === 'stale') return { success: false, status: 409, message: 'Lobby has not departed yet' };
+    closed.add(lobbyId);
+    return { success: true, lobby: { id: lobbyId }, to };
+  });
+};
+
+describe('lobbyExpiryService.sweep', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('expires empty lobbies and cancels lobbies with riders', async () => {
+    useLobbies([{ id: 'empty', rider_count: '0' }, { id: 'booked', rider_count: '2' }]);
+
+    const summary = await lobbyExpiryService.sweep(null);
+
+    expect(summary).toEqual({ expired: 1, cancelled: 1 });
+    expect(lobbyStateMachine.transition).toHaveBeenCalledWith('empty', 'expired', expect.any(Object));
+    expect(lobbyStateMachine.transition).toHaveBeenCalledWith('booked', 'cancelled', expect.any(Object));
+  });
+
+  test('logs a failing lobby and carries on with the rest', async () => {
+    useLobbies([
+      { id: 'stale', rider_count: '0' },
+      { id: 'broken', rider_count: '1' },
+      { id: 'empty', rider_count: '0' }
+    ]);
+
+    const summary = await lobbyExpiryService.sweep(null);
+
+    expect(summary).toEqual({ expired: 1, cancelled: 0 });
+    expect(logger.warn).toHaveBeenCalledWith('Lobby sweep skipped stale: Lobby has not departed yet');
+    expect(logger.error).toHaveBeenCalledWith('Lobby sweep failed for broken:', expect.any(Error));
+    expect(lobbyStateMachine.transition).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,75 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../config/database', () => ({ pool: { connect: jest.fn() }, query: jest.fn() }));
+jest.mock('../services/lobbyService', () => ({ checkCreateRules: jest.fn() }));
+jest.mock('../services/lobbyStateMachine', () => ({ syncSeats: jest.fn() }));
+
+const { pool, query } = require('../config/database');
+const lobbyService = require('../services/lobbyService');
+const lobbySeriesService = require('../services/lobbySeriesService');
+
+const USER = { id: 'creator', role: 'driver' };
+const SERIES = { id: 'series-1', provides_vehicle: true, vehicle_id: 'vehicle-1', preferences: {} };
+const DATE = '2030-01-07';
+
+// Transaction client whose lobby update matches `updatedRows`; records the SQL it runs
+const fakeClient = updatedRows => {
+  const statements = [];
+
+  return {
+    statements,
+    release: jest.fn(),
+    query: jest.fn(async (sql, params) => {
+      statements.push({ sql, params });
+      return { rows: sql.trim().startsWith('UPDATE lobbies') ? updatedRows : [] };
+    })
+  };
+};
+
+describe('lobbySeriesService.modifyOccurrence', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [{ action: null, lobby_id: 'lobby-1', status: 'active' }] });
+    lobbyService.checkCreateRules.mockResolvedValue(null);
+  });
+
+  test('rejects more seats than the series vehicle has', async () => {
+    lobbyService.checkCreateRules.mockResolvedValue({
+      success: false,
+      status: 400,
+      message: 'This vehicle only has 3 passenger seats'
+    });
+
+    const result = await lobbySeriesService.modifyOccurrence(USER, SERIES, DATE, { availableSeats: 6 }, null);
+
+    expect(result).toEqual({ success: false, status: 400, message: 'This vehicle only has 3 passenger seats' });
+    expect(lobbyService.checkCreateRules).toHaveBeenCalledWith(USER, {
+      providesVehicle: true,
+      vehicleId: 'vehicle-1',
+      availableSeats: 6,
+      preferences: {}
+    });
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+
+  test('keeps the override unsaved when more seats are booked than requested', async () => {
+    const client = fakeClient([]);
+    pool.connect.mockResolvedValue(client);
+
+    const result = await lobbySeriesService.modifyOccurrence(USER, SERIES, DATE, { availableSeats: 1 }, null);
+
+    expect(result).toEqual({ success: false, status: 400, message: 'More seats are already booked on this occurrence' });
+    expect(client.statements.map(({ sql }) => sql.trim().split(/\s+/)[0])).toEqual(['BEGIN', 'UPDATE', 'ROLLBACK']);
+    expect(client.statements[1].sql).toContain('seats_taken <= COALESCE($3, available_seats)');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('updates the lobby and saves the override together', async () => {
+    const client = fakeClient([{ id: 'lobby-1', available_seats: 2, status: 'active' }]);
+    pool.connect.mockResolvedValue(client);
+
+    const result = await lobbySeriesService.modifyOccurrence(USER, SERIES, DATE, { availableSeats: 2 }, null);
+
+    expect(result).toEqual({ success: true, lobby: { id: 'lobby-1', available_seats: 2, status: 'active' } });
+    expect(client.statements.map(({ sql }) => sql.trim().split(/\s+/)[0])).toEqual(['BEGIN', 'UPDATE', 'INSERT', 'COMMIT']);
+  });
+});
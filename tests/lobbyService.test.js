@@ -0,0 +1,186 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../services/driverService', () => ({ isApprovedDriver: jest.fn() }));
+jest.mock('../services/mapboxService', () => ({ getDirections: jest.fn() }));
+jest.mock('../config/database', () => ({ pool: { connect: jest.fn() }, query: jest.fn() }));
+
+const { pool } = require('../config/database');
+const lobbyService = require('../services/lobbyService');
+
+const LOBBY_ID = 'lobby-1';
+
+/**
+ * In-memory stand-in for the lobbies and lobby_members rows. Every statement
+ * yields first so concurrent bookings interleave, then runs atomically the way
+ * a single UPDATE does under its row lock; the seat condition only applies
+ * when the statement carries it. ROLLBACK undoes the transaction.
+ */
+const fakeDatabase = (availableSeats) => {
+  const lobby = { id: LOBBY_ID, status: 'active', available_seats: availableSeats, seats_taken: 0 };
+  const members = [];
+
+  const run = (sql, params, undo) => {
+    if (sql.startsWith('UPDATE lobbies SET seats_taken = seats_taken +')) {
+      const [, seats] = params;
+      const checksSeats = sql.includes('seats_taken + $2 <= available_seats');
+      if (lobby.status !== 'active' || (checksSeats && lobby.seats_taken + seats > lobby.available_seats)) {
+        return { rows: [] };
+      }
+      lobby.seats_taken += seats;
+      undo.push(() => { lobby.seats_taken -= seats; });
+      return { rows: [{ remaining_seats: lobby.available_seats - lobby.seats_taken }] };
+    }
+
+    if (sql.startsWith('INSERT INTO lobby_members')) {
+      const [, userId, pickupLocation, seats] = params;
+      if (members.some(member => member.user_id === userId)) {
+        if (sql.includes('ON CONFLICT (lobby_id, user_id) DO NOTHING')) return { rows: [] };
+        throw Object.assign(new Error('duplicate key value'), { code: '23505' });
+      }
+      const member = { user_id: userId, pickup_location: pickupLocation, seats, status: 'active' };
+      members.push(member);
+      undo.push(() => { members.splice(members.indexOf(member), 1); });
+      return { rows: [{ id: `member-${userId}` }] };
+    }
+
+    if (sql.startsWith('UPDATE lobby_members')) {
+      const [, userId, status, removalReason] = params;
+      const member = members.find(m => m.user_id === userId && m.status === 'active');
+      if (!member) {
+        return { rows: [] };
+      }
+      const previous = { ...member };
+      Object.assign(member, { status, removal_reason: removalReason });
+      undo.push(() => { Object.assign(member, previous); });
+      return { rows: [{ seats: member.seats }] };
+    }
+
+    if (sql.startsWith('UPDATE lobbies SET seats_taken = seats_taken -')) {
+      const [, seats] = params;
+      lobby.seats_taken -= seats;
+      undo.push(() => { lobby.seats_taken += seats; });
+      return { rows: [] };
+    }
+
+    return { rows: [] };
+  };
+
+  pool.connect.mockImplementation(async () => {
+    let undo = [];
+
+    return {
+      release: jest.fn(),
+      query: jest.fn(async (sql, params) => {
+        await new Promise(resolve => setImmediate(resolve));
+
+        if (sql === 'ROLLBACK') {
+          undo.reverse().forEach(step => step());
+        }
+        if (['BEGIN', 'COMMIT', 'ROLLBACK'].includes(sql)) {
+          undo = [];
+          return { rows: [] };
+        }
+
+        return run(sql.trim(), params, undo);
+      })
+    };
+  });
+
+  return { lobby, members };
+};
+
+const activeSeats = members => members
+  .filter(member => member.status === 'active')
+  .reduce((total, member) => total + member.seats, 0);
+
+describe('lobbyService seat booking', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('concurrent bookings never take more seats than the lobby offers', async () => {
+    const { lobby, members } = fakeDatabase(3);
+    const riders = ['a', 'b', 'c', 'd', 'e'];
+
+    const results = await Promise.all(riders.map(userId => lobbyService.bookSeats(LOBBY_ID, userId, 1, 'Stop')));
+
+    expect(results.filter(result => result.success)).toHaveLength(3);
+    expect(results.filter(result => !result.success)).toEqual([
+      { success: false, status: 400, message: 'Lobby is full' },
+      { success: false, status: 400, message: 'Lobby is full' }
+    ]);
+    expect(lobby.seats_taken).toBe(3);
+    expect(activeSeats(members)).toBe(3);
+  });
+
+  test('rejects a multi-seat booking larger than the seats left', async () => {
+    const { lobby, members } = fakeDatabase(4);
+
+    expect(await lobbyService.bookSeats(LOBBY_ID, 'a', 3, 'Stop')).toEqual({ success: true, remainingSeats: 1 });
+    expect(await lobbyService.bookSeats(LOBBY_ID, 'b', 2, 'Stop')).toEqual({
+      success: false,
+      status: 400,
+      message: 'Not enough seats left in this lobby'
+    });
+
+    expect(lobby.seats_taken).toBe(3);
+    expect(members.map(member => member.user_id)).toEqual(['a']);
+  });
+
+  test('concurrent multi-seat bookings cannot overbook together', async () => {
+    const { lobby } = fakeDatabase(3);
+
+    const results = await Promise.all([
+      lobbyService.bookSeats(LOBBY_ID, 'a', 2, 'Stop'),
+      lobbyService.bookSeats(LOBBY_ID, 'b', 2, 'Stop')
+    ]);
+
+    expect(results.map(result => result.success).sort()).toEqual([false, true]);
+    expect(lobby.seats_taken).toBe(2);
+  });
+
+  test('a duplicate join gives its seats back', async () => {
+    const { lobby, members } = fakeDatabase(4);
+
+    const results = await Promise.all([
+      lobbyService.bookSeats(LOBBY_ID, 'a', 2, 'Stop'),
+      lobbyService.bookSeats(LOBBY_ID, 'a', 2, 'Stop')
+    ]);
+
+    expect(results).toContainEqual({ success: false, status: 400, message: 'You are already a member of this lobby' });
+    expect(lobby.seats_taken).toBe(2);
+    expect(members).toHaveLength(1);
+  });
+
+  test('leaving returns the member seats', async () => {
+    const { lobby, members } = fakeDatabase(4);
+    await lobbyService.bookSeats(LOBBY_ID, 'a', 2, 'Stop');
+
+    expect(await lobbyService.releaseSeats(LOBBY_ID, 'a')).toBe(true);
+
+    expect(lobby.seats_taken).toBe(0);
+    expect(members[0]).toMatchObject({ status: 'left', removal_reason: null });
+  });
+
+  test('removal returns the member seats and records the reason', async () => {
+    const { lobby, members } = fakeDatabase(4);
+    await lobbyService.bookSeats(LOBBY_ID, 'a', 3, 'Stop');
+    await lobbyService.bookSeats(LOBBY_ID, 'b', 1, 'Stop');
+
+    expect(await lobbyService.releaseSeats(LOBBY_ID, 'a', { removalReason: 'Rude in chat' })).toBe(true);
+
+    expect(lobby.seats_taken).toBe(1);
+    expect(members[0]).toMatchObject({ status: 'removed', removal_reason: 'Rude in chat' });
+    expect(await lobbyService.bookSeats(LOBBY_ID, 'c', 3, 'Stop')).toEqual({ success: true, remainingSeats: 0 });
+  });
+
+  test('releasing a non-member changes nothing', async () => {
+    const { lobby } = fakeDatabase(4);
+    await lobbyService.bookSeats(LOBBY_ID, 'a', 2, 'Stop');
+
+    expect(await lobbyService.releaseSeats(LOBBY_ID, 'b')).toBe(false);
+    expect(await lobbyService.releaseSeats(LOBBY_ID, 'a')).toBe(true);
+    expect(await lobbyService.releaseSeats(LOBBY_ID, 'a')).toBe(false);
+
+    expect(lobby.seats_taken).toBe(0);
+  });
+});
@@ -0,0 +1,121 @@
+process.env.OTP_SECRET = 'test-secret';
+
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../config/database', () => ({ query: jest.fn() }));
+jest.mock('../config/redis', () => ({
+  isRedisReady: jest.fn(() => false),
+  setCache: jest.fn(),
+  getCache: jest.fn(),
+  deleteCache: jest.fn(),
+  incrementCache: jest.fn()
+}));
+
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const redis = require('../config/redis');
+const otpService = require('../services/otpService');
+
+const PHONE = '+10000000000';
+const PURPOSE = 'login';
+
+const storedRow = attempts => ({
+  code_hash: otpService.hashCode(PHONE, PURPOSE, '123456'),
+  attempts,
+  expires_at: new Date(Date.now() + 60000),
+  last_sent_at: new Date()
+});
+
+describe('otpService.verify attempts', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redis.isRedisReady.mockReturnValue(false);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('counts a wrong code with a single atomic update', async () => {
+    query.mockImplementation(async sql => {
+      if (sql.startsWith('SELECT')) return { rows: [storedRow(0)] };
+      if (sql.includes('attempts = attempts + 1')) return { rows: [{ attempts: 1 }] };
+      return { rows: [] };
+    });
+
+    const result = await otpService.verify(PHONE, PURPOSE, '000000');
+
+    expect(result).toEqual({ success: false, reason: 'invalid', attemptsRemaining: 4 });
+    expect(query.mock.calls.some(([sql]) => sql.startsWith('INSERT INTO otp_codes'))).toBe(false);
+  });
+
+  test('uses the returned count, not the one read earlier', async () => {
+    // Another request used up the remaining attempts after this one read the row
+    query.mockImplementation(async sql => {
+      if (sql.startsWith('SELECT')) return { rows: [storedRow(1)] };
+      if (sql.includes('attempts = attempts + 1')) return { rows: [{ attempts: 5 }] };
+      return { rows: [] };
+    });
+
+    const result = await otpService.verify(PHONE, PURPOSE, '000000');
+
+    expect(result).toEqual({ success: false, reason: 'too_many_attempts' });
+    expect(query.mock.calls.some(([sql]) => sql.startsWith('DELETE FROM otp_codes'))).toBe(true);
+  });
+
+  test('increments the Redis counter when Redis is available', async () => {
+    redis.isRedisReady.mockReturnValue(true);
+    redis.getCache.mockResolvedValue({
+      codeHash: otpService.hashCode(PHONE, PURPOSE, '123456'),
+      attempts: 0,
+      expiresAt: Date.now() + 60000,
+      lastSentAt: Date.now()
+    });
+    redis.incrementCache.mockResolvedValue(3);
+
+    const result = await otpService.verify(PHONE, PURPOSE, '000000');
+
+    expect(redis.incrementCache).toHaveBeenCalledWith(`otp_attempts:${PURPOSE}:${PHONE}`, expect.any(Number));
+    expect(result).toEqual({ success: false, reason: 'invalid', attemptsRemaining: 2 });
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  test('rejects a guess over the limit without comparing it', async () => {
+    jest.spyOn(crypto, 'timingSafeEqual');
+    query.mockImplementation(async sql => {
+      if (sql.startsWith('SELECT')) return { rows: [storedRow(5)] };
+      if (sql.includes('attempts = attempts + 1')) return { rows: [{ attempts: 6 }] };
+      return { rows: [] };
+    });
+
+    const result = await otpService.verify(PHONE, PURPOSE, '123456');
+
+    expect(result).toEqual({ success: false, reason: 'too_many_attempts' });
+    expect(crypto.timingSafeEqual).not.toHaveBeenCalled();
+  });
+
+  test('evaluates only OTP_MAX_ATTEMPTS of many parallel guesses', async () => {
+    const compare = jest.spyOn(crypto, 'timingSafeEqual');
+    let row = storedRow(0);
+
+    // Each statement yields first so the guesses interleave, then runs atomically
+    query.mockImplementation(async (sql) => {
+      await new Promise(resolve => setImmediate(resolve));
+      if (sql.startsWith('SELECT')) return { rows: row ? [{ ...row }] : [] };
+      if (sql.includes('attempts = attempts + 1')) {
+        if (!row) return { rows: [] };
+        row.attempts += 1;
+        return { rows: [{ attempts: row.attempts }] };
+      }
+      if (sql.startsWith('DELETE')) row = null;
+      return { rows: [] };
+    });
+
+    const results = await Promise.all(
+      Array.from({ length: 20 }, (_, i) => otpService.verify(PHONE, PURPOSE, String(100000 + i)))
+    );
+
+    expect(compare).toHaveBeenCalledTimes(5);
+    expect(results.filter(result => result.reason === 'invalid')).toHaveLength(4);
+    expect(results.filter(result => result.reason === 'too_many_attempts')).toHaveLength(16);
+  });
+});
@@ -0,0 +1,60 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const referralService = require('../services/referralService');
+
+const REFERRER = 'referrer';
+const REFEREE = 'referee';
+
+// Transaction client with one pending referral; records the SQL it runs
+const fakeClient = () => {
+  const statements = [];
+
+  return {
+    statements,
+    query: jest.fn(async (sql, params) => {
+      statements.push({ sql, params });
+
+      if (sql.includes('FROM referrals') && sql.includes('FOR UPDATE')) {
+        return { rows: [{ id: 'referral-1', referrer_id: REFERRER, referee_id: REFEREE }] };
+      }
+      if (sql.includes('SELECT COUNT(*)')) {
+        return { rows: [{ count: '0' }] };
+      }
+      return { rows: [] };
+    })
+  };
+};
+
+const credited = client => client.statements.filter(({ sql }) => sql.includes('referral_credit'));
+
+describe('referralService.rewardFirstRide', () => {
+  it('does not reward a referee who completed a lobby alone', async () => {
+    const client = fakeClient();
+
+    const rewards = await referralService.rewardFirstRide(client, [REFEREE], 'ride-1');
+
+    expect(rewards).toEqual([]);
+    expect(credited(client)).toHaveLength(0);
+    expect(client.statements.some(({ sql }) => sql.includes("status = 'rewarded'"))).toBe(false);
+  });
+
+  it('does not reward a ride shared only by the referrer and referee', async () => {
+    const client = fakeClient();
+
+    const rewards = await referralService.rewardFirstRide(client, [REFERRER, REFEREE], 'ride-1');
+
+    expect(rewards).toEqual([]);
+    expect(credited(client)).toHaveLength(0);
+  });
+
+  it('rewards both sides when someone else was on the ride', async () => {
+    const client = fakeClient();
+
+    const rewards = await referralService.rewardFirstRide(client, [REFERRER, REFEREE, 'driver'], 'ride-1');
+
+    expect(rewards).toEqual([
+      { referrerId: REFERRER, refereeId: REFEREE, referrerReward: 5, refereeReward: 5 }
+    ]);
+    expect(credited(client).map(({ params }) => params[0])).toEqual([REFERRER, REFEREE]);
+  });
+});
@@ -0,0 +1,73 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../config/database', () => ({ pool: { connect: jest.fn() }, query: jest.fn() }));
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 'driver', role: 'driver' };
+    next();
+  },
+  requirePermission: () => (req, res, next) => next(),
+  requireVerifiedPhone: (req, res, next) => next()
+}));
+jest.mock('../services/mapboxService', () => ({}));
+jest.mock('../services/lobbyStateMachine', () => ({ transition: jest.fn(), notify: jest.fn() }));
+jest.mock('../services/referralService', () => ({ rewardFirstRide: jest.fn(), notifyRewards: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const { pool, query } = require('../config/database');
+const lobbyStateMachine = require('../services/lobbyStateMachine');
+const referralService = require('../services/referralService');
+const ridesRouter = require('../routes/rides');
+
+const LOBBY_ID = '11111111-1111-4111-8111-111111111111';
+
+const app = express();
+app.use(express.json());
+app.use('/api/rides', ridesRouter);
+
+describe('POST /api/rides/complete/:lobbyId', () => {
+  let statements;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    statements = [];
+
+    query.mockImplementation(async (sql) => {
+      if (sql.startsWith('SELECT * FROM lobbies')) {
+        return { rows: [{ id: LOBBY_ID, creator_id: 'driver', status: 'started', to_location: 'Airport' }] };
+      }
+      return {
+        rows: [
+          { user_id: 'driver', seats: 0, pickup_location: 'Depot' },
+          { user_id: 'family', seats: 3, pickup_location: 'Main St' },
+          { user_id: 'solo', seats: 1, pickup_location: 'Park' }
+        ]
+      };
+    });
+
+    pool.connect.mockResolvedValue({
+      release: jest.fn(),
+      query: jest.fn(async (sql, params) => {
+        statements.push({ sql, params });
+        return { rows: sql.includes('INSERT INTO rides') ? [{ id: 'ride-1' }] : [] };
+      })
+    });
+
+    lobbyStateMachine.transition.mockResolvedValue({ success: true, lobby: { id: LOBBY_ID } });
+    referralService.rewardFirstRide.mockResolvedValue([]);
+  });
+
+  test('splits the fare by booked seats and leaves the driver out', async () => {
+    const response = await request(app)
+      .post(`/api/rides/complete/${LOBBY_ID}`)
+      .send({ totalAmount: 40, distanceKm: 12, durationMinutes: 20 });
+
+    expect(response.status).toBe(200);
+
+    const paid = Object.fromEntries(statements
+      .filter(({ sql }) => sql.includes('INSERT INTO ride_participants'))
+      .map(({ params }) => [params[1], params[2]]));
+
+    expect(paid).toEqual({ driver: 0, family: 30, solo: 10 });
+  });
+});
@@ -0,0 +1,69 @@
+process.env.ROUTE_MATCH_CANDIDATE_LIMIT = '2';
+
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../config/database', () => ({ query: jest.fn() }));
+
+const { query } = require('../config/database');
+const routeMatchService = require('../services/routeMatchService');
+
+const PICKUP = [0.02, 0.001];
+const DROPOFF = [0.08, 0.001];
+
+const lobby = (id, coordinates) => ({
+  id,
+  departure_time: '2030-01-07T08:00:00',
+  preferences: {},
+  route_distance_m: 11000,
+  route_duration_s: 900,
+  route_geometry: { type: 'LineString', coordinates },
+  route_bbox: '(0.1,0),(0,0)'
+});
+
+const EASTBOUND = [[0, 0], [0.1, 0]];
+const WESTBOUND = [[0.1, 0], [0, 0]];
+const FAR_AWAY = [[0, 0.5], [0.1, 0.5]];
+
+describe('routeMatchService.findMatches', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('requires the pickup to come before the dropoff along the route', async () => {
+    query.mockResolvedValueOnce({ rows: [lobby('west', WESTBOUND)] });
+
+    const matches = await routeMatchService.findMatches({ pickup: PICKUP, dropoff: DROPOFF });
+
+    expect(matches).toEqual([]);
+  });
+
+  test('describes a match by its stops on the route and the detour', async () => {
+    query.mockResolvedValueOnce({ rows: [lobby('east', EASTBOUND)] });
+
+    const [match] = await routeMatchService.findMatches({ pickup: PICKUP, dropoff: DROPOFF });
+
+    expect(match.id).toBe('east');
+    expect(match.route_geometry).toBeUndefined();
+    expect(match.match).toMatchObject({
+      pickupPoint: { latitude: 0, longitude: 0.02 },
+      dropoffPoint: { latitude: 0, longitude: 0.08 },
+      pickupDistanceKm: 0.11,
+      dropoffDistanceKm: 0.11,
+      sharedDistanceKm: 6.67,
+      detourKm: 0.44
+    });
+  });
+
+  test('keeps reading candidates until enough matches are found', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [lobby('far', FAR_AWAY), lobby('west', WESTBOUND)] })
+      .mockResolvedValueOnce({ rows: [lobby('east', EASTBOUND), lobby('far-2', FAR_AWAY)] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const matches = await routeMatchService.findMatches({ pickup: PICKUP, dropoff: DROPOFF, limit: 1 });
+
+    expect(matches.map(match => match.id)).toEqual(['east']);
+    expect(query).toHaveBeenCalledTimes(2);
+    expect(query.mock.calls.map(([, params]) => params.slice(-2))).toEqual([[2, 0], [2, 2]]);
+    expect(query.mock.calls[0][0]).toContain('<-> l.route_bbox');
+  });
+});
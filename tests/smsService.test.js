@@ -0,0 +1,30 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const logger = require('../utils/logger');
+const smsService = require('../services/smsService');
+
+describe('smsService', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.clearAllMocks();
+  });
+
+  test('console provider masks verification codes', async () => {
+    delete process.env.SMS_PROVIDER;
+    process.env.NODE_ENV = 'test';
+
+    await smsService.send('+10000000000', 'Your code is 123456.');
+
+    expect(logger.info).toHaveBeenCalledWith('📱 SMS to +10000000000: Your code is ******.');
+  });
+
+  test('refuses to fall back to the console provider in production', async () => {
+    delete process.env.SMS_PROVIDER;
+    process.env.NODE_ENV = 'production';
+
+    await expect(smsService.send('+10000000000', 'Your code is 123456.')).rejects.toThrow('Failed to send SMS');
+    expect(logger.info).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const LocalStorage = require('../services/storage/localStorage');
+const { S3Storage, createS3Client } = require('../services/storage/s3Storage');
+
+const readAll = async stream => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString();
+};
+
+describe('LocalStorage', () => {
+  let root;
+  let storage;
+
+  beforeEach(async () => {
+    root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+    storage = new LocalStorage({ root, baseUrl: '/uploads' });
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(root, { recursive: true, force: true });
+  });
+
+  test('stores, streams and deletes an object', async () => {
+    await storage.put('vehicles/photo.webp', Buffer.from('image'), 'image/webp');
+
+    const object = await storage.stream('vehicles/photo.webp');
+    expect(object.contentType).toBe('image/webp');
+    expect(await readAll(object.stream)).toBe('image');
+
+    await storage.delete('vehicles/photo.webp');
+    expect(await storage.stream('vehicles/photo.webp')).toBeNull();
+  });
+
+  test('returns null for a missing object and ignores deleting it', async () => {
+    expect(await storage.stream('missing.pdf')).toBeNull();
+    await expect(storage.delete('missing.pdf')).resolves.toBeUndefined();
+  });
+
+  test('accepts keys saved with the root prefix', async () => {
+    await storage.put('documents/licence.pdf', Buffer.from('pdf'));
+
+    const object = await storage.stream(`${root}/documents/licence.pdf`);
+    expect(object.contentType).toBe('application/pdf');
+    expect(await readAll(object.stream)).toBe('pdf');
+  });
+
+  test('rejects keys outside the root', async () => {
+    await expect(storage.put('../escape.txt', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+    await expect(storage.stream('/etc/passwd')).rejects.toThrow('Invalid storage key');
+  });
+
+  test('maps keys to URLs and back', () => {
+    expect(storage.url('vehicles/photo.webp')).toBe('/uploads/vehicles/photo.webp');
+    expect(storage.keyFromUrl('/uploads/vehicles/photo.webp')).toBe('vehicles/photo.webp');
+    expect(storage.keyFromUrl('https://example.com/photo.webp')).toBeNull();
+    expect(new LocalStorage({ root }).url('a.pdf')).toBeNull();
+  });
+});
+
+describe('S3Storage', () => {
+  // Client that keeps objects in memory and records the commands it receives
+  const fakeClient = () => {
+    const objects = new Map();
+    const commands = [];
+
+    return {
+      objects,
+      commands,
+      send: jest.fn(async command => {
+        const name = command.constructor.name;
+        const { Key, Body, ContentType } = command.input;
+        commands.push({ name, input: command.input });
+
+        if (name === 'PutObjectCommand') {
+          objects.set(Key, { Body, ContentType });
+          return {};
+        }
+        if (name === 'GetObjectCommand') {
+          if (!objects.has(Key)) {
+            const error = new Error('The specified key does not exist.');
+            error.name = 'NoSuchKey';
+            throw error;
+          }
+          const object = objects.get(Key);
+          return { Body: Readable.from([object.Body]), ContentType: object.ContentType };
+        }
+        if (name === 'DeleteObjectCommand') {
+          objects.delete(Key);
+          return {};
+        }
+        throw new Error(`Unexpected command ${name}`);
+      })
+    };
+  };
+
+  test('stores objects under the prefix in the bucket', async () => {
+    const client = fakeClient();
+    const storage = new S3Storage({ client, bucket: 'gari', prefix: 'private/' });
+
+    await storage.put('documents/licence.pdf', Buffer.from('pdf'), 'application/pdf');
+
+    expect(client.commands[0]).toEqual({
+      name: 'PutObjectCommand',
+      input: { Bucket: 'gari', Key: 'private/documents/licence.pdf', Body: Buffer.from('pdf'), ContentType: 'application/pdf' }
+    });
+
+    const object = await storage.stream('documents/licence.pdf');
+    expect(object.contentType).toBe('application/pdf');
+    expect(await readAll(object.stream)).toBe('pdf');
+
+    await storage.delete('documents/licence.pdf');
+    expect(client.commands[2]).toEqual({
+      name: 'DeleteObjectCommand',
+      input: { Bucket: 'gari', Key: 'private/documents/licence.pdf' }
+    });
+    expect(client.objects.size).toBe(0);
+  });
+
+  test('returns null for a missing object', async () => {
+    const storage = new S3Storage({ client: fakeClient(), bucket: 'gari', prefix: 'private/' });
+
+    expect(await storage.stream('missing.pdf')).toBeNull();
+  });
+
+  test('treats a 404 response as a missing object and rethrows other errors', async () => {
+    const notFound = Object.assign(new Error('Not Found'), { $metadata: { httpStatusCode: 404 } });
+    const denied = Object.assign(new Error('Access Denied'), { name: 'AccessDenied' });
+    const client = { send: jest.fn().mockRejectedValueOnce(notFound).mockRejectedValueOnce(denied) };
+    const storage = new S3Storage({ client, bucket: 'gari' });
+
+    expect(await storage.stream('a.pdf')).toBeNull();
+    await expect(storage.stream('a.pdf')).rejects.toThrow('Access Denied');
+  });
+
+  test('maps keys to public URLs and back', () => {
+    const storage = new S3Storage({
+      client: fakeClient(),
+      bucket: 'gari',
+      prefix: 'public/',
+      publicUrl: 'http://minio:9000/gari'
+    });
+
+    expect(storage.url('vehicles/photo.webp')).toBe('http://minio:9000/gari/public/vehicles/photo.webp');
+    expect(storage.keyFromUrl('http://minio:9000/gari/public/vehicles/photo.webp')).toBe('vehicles/photo.webp');
+    expect(storage.keyFromUrl('/uploads/vehicles/photo.webp')).toBeNull();
+    expect(new S3Storage({ client: fakeClient(), bucket: 'gari', prefix: 'private/' }).url('a.pdf')).toBeNull();
+  });
+
+  test('createS3Client uses path-style addressing for a custom endpoint', async () => {
+    const env = { ...process.env };
+    process.env.S3_ENDPOINT = 'http://minio:9000';
+    process.env.S3_REGION = 'eu-central-1';
+
+    try {
+      const client = createS3Client();
+      expect(client.config.forcePathStyle).toBe(true);
+      expect(await client.config.region()).toBe('eu-central-1');
+      const endpoint = await client.config.endpoint();
+      expect(endpoint.hostname).toBe('minio');
+    } finally {
+      process.env = env;
+    }
+  });
+});
@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+// AES-256-GCM for secrets stored at rest (e.g. TOTP seeds).
+// Output format: iv:authTag:ciphertext, all base64.
+
+const getKey = () => {
+  return crypto
+    .createHash('sha256')
+    .update(process.env.DATA_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+};
+
+const encrypt = (plainText) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+};
+
+const decrypt = (payload) => {
+  const [iv, authTag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  encrypt,
+  decrypt
+};
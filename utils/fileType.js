@@ -0,0 +1,36 @@
+const fs = require('fs');
+
+// Detect a file's real type from its leading bytes instead of trusting the
+// client-supplied mimetype or extension.
+const SIGNATURES = [
+  { mimeType: 'image/jpeg', test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mimeType: 'image/png', test: (b) => b.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/webp', test: (b) => b.slice(0, 4).toString('ascii') === 'RIFF' && b.slice(8, 12).toString('ascii') === 'WEBP' },
+  { mimeType: 'application/pdf', test: (b) => b.slice(0, 5).toString('ascii') === '%PDF-' }
+];
+
+const detectMimeType = (buffer) => {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+
+  const match = SIGNATURES.find(signature => signature.test(buffer));
+  return match ? match.mimeType : null;
+};
+
+const detectFileMimeType = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+
+  try {
+    const buffer = Buffer.alloc(12);
+    await handle.read(buffer, 0, 12, 0);
+    return detectMimeType(buffer);
+  } finally {
+    await handle.close();
+  }
+};
+
+module.exports = {
+  detectMimeType,
+  detectFileMimeType
+};
@@ -0,0 +1,102 @@
+// Geographic helpers shared by routes and services
+
+const EARTH_RADIUS_KM = 6371;
+
+// Coordinates are stored as POINT(longitude, latitude). The GiST indexes on
+// lobbies use this exact expression, so queries must build it the same way.
+const earthPointSql = (pointColumn) => `ll_to_earth(${pointColumn}[1], ${pointColumn}[0])`;
+
+/**
+ * SQL expression for the distance in km between a POINT column and the
+ * latitude/longitude in two query parameters (earthdistance extension).
+ */
+const distanceKmSql = (pointColumn, latParam, lonParam) =>
+  `(earth_distance(ll_to_earth(${latParam}, ${lonParam}), ${earthPointSql(pointColumn)}) / 1000)`;
+
+/**
+ * SQL condition matching a POINT column within `radiusParam` km of the
+ * coordinates. earth_box is index-assisted but square, so the exact distance
+ * check trims its corners.
+ */
+const withinRadiusSql = (pointColumn, latParam, lonParam, radiusParam) =>
+  `(earth_box(ll_to_earth(${latParam}, ${lonParam}), ${radiusParam}::float8 * 1000) @> ${earthPointSql(pointColumn)}
+    AND ${distanceKmSql(pointColumn, latParam, lonParam)} <= ${radiusParam}::float8)`;
+
+const KM_PER_DEGREE = EARTH_RADIUS_KM * Math.PI / 180;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance in km between two [longitude, latitude] pairs
+const haversineKm = ([lon1, lat1], [lon2, lat2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+
+  return EARTH_RADIUS_KM * 2 * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Closest point to `point` on a route given as [longitude, latitude] pairs.
+ * Segments are flattened around the point, which is accurate at city scale.
+ * Returns { point, distanceKm, alongKm } where alongKm is the distance from
+ * the start of the route to the closest point.
+ */
+const projectOntoRoute = (coordinates, point) => {
+  const [lon0, lat0] = point;
+  const lonScale = Math.cos(toRadians(lat0)) * KM_PER_DEGREE;
+  const toXY = ([lon, lat]) => [(lon - lon0) * lonScale, (lat - lat0) * KM_PER_DEGREE];
+
+  let best = null;
+  let travelledKm = 0;
+
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    const [ax, ay] = toXY(coordinates[i]);
+    const [bx, by] = toXY(coordinates[i + 1]);
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+    const px = ax + t * dx;
+    const py = ay + t * dy;
+    const distanceKm = Math.sqrt(px * px + py * py);
+    const segmentKm = haversineKm(coordinates[i], coordinates[i + 1]);
+
+    if (!best || distanceKm < best.distanceKm) {
+      best = {
+        point: [lon0 + px / lonScale, lat0 + py / KM_PER_DEGREE],
+        distanceKm,
+        alongKm: travelledKm + t * segmentKm
+      };
+    }
+
+    travelledKm += segmentKm;
+  }
+
+  return best;
+};
+
+// Bounding box of a route as [minLon, minLat, maxLon, maxLat]
+const routeBounds = (coordinates) => coordinates.reduce(
+  ([minLon, minLat, maxLon, maxLat], [lon, lat]) => [
+    Math.min(minLon, lon), Math.min(minLat, lat), Math.max(maxLon, lon), Math.max(maxLat, lat)
+  ],
+  [Infinity, Infinity, -Infinity, -Infinity]
+);
+
+// Degrees of latitude and longitude spanning `km` around a latitude
+const degreesAround = (latitude, km) => ({
+  lat: km / KM_PER_DEGREE,
+  lon: km / (KM_PER_DEGREE * Math.max(Math.cos(toRadians(latitude)), 0.01))
+});
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  earthPointSql,
+  distanceKmSql,
+  withinRadiusSql,
+  haversineKm,
+  projectOntoRoute,
+  routeBounds,
+  degreesAround
+};
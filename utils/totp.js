@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 second steps),
+// the variant every authenticator app supports.
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+                 (hmac[offset + 1] << 16) |
+                 (hmac[offset + 2] << 8) |
+                 hmac[offset + 3];
+
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+};
+
+// Returns the matching time step (allowing one step of clock drift) or null
+const verifyCode = (secret, code, window = 1) => {
+  if (!/^\d{6}$/.test(String(code))) {
+    return null;
+  }
+
+  const now = currentStep();
+  for (let step = now - window; step <= now + window; step++) {
+    const expected = Buffer.from(generateCode(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+const buildOtpauthUri = (secret, accountName, issuer = 'G.A.R.I.') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  currentStep,
+  buildOtpauthUri
+};